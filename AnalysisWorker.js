@@ -0,0 +1,39 @@
+/**
+ * AnalysisWorker.js
+ * Runs AudioDSP scoring off the main thread
+ *
+ * Messages in:  { type: 'analyze', id, take1, take2, settings }
+ *               (take = { channels: [Float32Array, ...], sampleRate })
+ * Messages out: { type: 'progress', id, stage, progress }
+ *               { type: 'result', id, result }
+ *               { type: 'error', id, error }
+ */
+
+importScripts('AudioDSP.js');
+
+// Only the pure analysis methods are used, so no AudioContext is ever created
+const analyzer = new AudioDSP();
+
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.type !== 'analyze') {
+        return;
+    }
+    
+    try {
+        analyzer.applyAnalysisSettings(message.settings);
+        
+        const result = analyzer.analyzeTakes(
+            message.take1,
+            message.take2,
+            (stage, progress) => {
+                self.postMessage({ type: 'progress', id: message.id, stage, progress });
+            }
+        );
+        
+        self.postMessage({ type: 'result', id: message.id, result });
+    } catch (error) {
+        console.error('❌ [AnalysisWorker] Error comparing audio:', error);
+        self.postMessage({ type: 'error', id: message.id, error: error.message });
+    }
+};
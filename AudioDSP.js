@@ -0,0 +1,2075 @@
+/**
+ * AudioDSP.js
+ * Pure audio analysis and scoring on Float32Arrays - no Web Audio, DOM or
+ * MediaRecorder, so it runs in the browser, in AnalysisWorker.js and in Node
+ * (see test/AudioDSP.test.js)
+ */
+
+// Scoring profiles: component weights plus score-curve breakpoints.
+// Each curve point maps a raw weighted score (0-1) to a displayed score (0-100);
+// scores in between are interpolated linearly, and `stage` names the segment
+// that starts at that point.
+const ScoringProfiles = {
+    standard: {
+        name: 'Standard',
+        description: 'The classic balance of timbre, pitch and dynamics',
+        weights: {
+            mfccSimilarity: 0.30,
+            pitchMatch: 0.25,
+            envelopeMatch: 0.10,
+            spectralMatch: 0.10,
+            energyMatch: 0.10,
+            durationMatch: 0.05,
+            rhythmMatch: 0.10
+        },
+        curve: [
+            { raw: 0, score: 0, stage: 'low' },
+            { raw: 0.4, score: 20, stage: 'medium' },
+            { raw: 0.7, score: 50, stage: 'high' },
+            { raw: 1, score: 100 }
+        ]
+    },
+    casual: {
+        name: 'Casual',
+        description: 'Forgiving curve - getting the shape and length right goes a long way',
+        weights: {
+            mfccSimilarity: 0.20,
+            pitchMatch: 0.20,
+            envelopeMatch: 0.20,
+            spectralMatch: 0.05,
+            energyMatch: 0.10,
+            durationMatch: 0.15,
+            rhythmMatch: 0.10
+        },
+        curve: [
+            { raw: 0, score: 0, stage: 'low' },
+            { raw: 0.3, score: 30, stage: 'medium' },
+            { raw: 0.6, score: 70, stage: 'high' },
+            { raw: 1, score: 100 }
+        ]
+    },
+    strict: {
+        name: 'Strict',
+        description: 'Harsh curve - only near-perfect mimics score high',
+        weights: {
+            mfccSimilarity: 0.30,
+            pitchMatch: 0.25,
+            envelopeMatch: 0.10,
+            spectralMatch: 0.10,
+            energyMatch: 0.05,
+            durationMatch: 0.05,
+            rhythmMatch: 0.15
+        },
+        curve: [
+            { raw: 0, score: 0, stage: 'low' },
+            { raw: 0.5, score: 10, stage: 'medium' },
+            { raw: 0.8, score: 40, stage: 'high' },
+            { raw: 1, score: 100 }
+        ]
+    },
+    pitchPurist: {
+        name: 'Pitch Purist',
+        description: 'Melody is everything',
+        weights: {
+            mfccSimilarity: 0.15,
+            pitchMatch: 0.55,
+            envelopeMatch: 0.05,
+            spectralMatch: 0.05,
+            energyMatch: 0.05,
+            durationMatch: 0.05,
+            rhythmMatch: 0.10
+        },
+        curve: [
+            { raw: 0, score: 0, stage: 'low' },
+            { raw: 0.4, score: 20, stage: 'medium' },
+            { raw: 0.7, score: 50, stage: 'high' },
+            { raw: 1, score: 100 }
+        ]
+    }
+};
+
+class AudioDSP {
+    constructor() {
+        // Every take is mixed to mono and resampled to this rate before analysis,
+        // so takes decoded at different rates (44.1k vs 48k) compare correctly
+        this.analysisSampleRate = 22050;
+        
+        // Pitch scoring: 'melody' (key-invariant shape) or 'absolute' (same notes)
+        this.pitchScoringMode = 'melody';
+        this.pitchToleranceCents = 300;  // This far off (after any transposition) is a full miss
+        this.pitchHighlightCents = 100;  // Pitch view: within a semitone counts as on pitch
+        
+        // DTW alignment (band as a fraction of the longer take)
+        this.alignmentBandRatio = 0.25;
+        
+        // Rhythm: onsets closer than this count as the same syllable
+        this.onsetToleranceSeconds = 0.1;
+        
+        // Voice activity trimming of leading/trailing silence
+        this.trimSilenceEnabled = true;
+        
+        // Voice-triggered recording (see updateVoiceTrigger)
+        this.voiceTriggerLevelDb = -40;      // RMS dBFS that counts as voice
+        this.voiceTriggerHoldTime = 0.08;    // Seconds above the level before starting
+        this.voiceTriggerHysteresisDb = 6;   // Voice continues until it drops this far below
+        this.trailingSilenceDuration = 1.5;  // Seconds of silence after voice before stopping
+        
+        // Loudness (BS.1770-style integrated loudness in LUFS)
+        this.normalizeLoudnessEnabled = true;  // Level-match both clips before envelope/energy scoring
+        this.analysisTargetLoudness = -23;     // LUFS both clips are scaled to when normalizing
+        this.loudnessRangeTolerance = 10;      // LU apart in loudness range scores 0 energy match
+        
+        // Clip validation thresholds
+        this.silenceLevel = 0.001;      // Peak below this is silence
+        this.clipLevel = 0.99;          // Samples at/above this are clipped
+        this.maxClippedRatio = 0.01;    // More than 1% clipped samples rejects the take
+        this.minVoicedDuration = 0.3;   // Seconds of actual sound needed
+        this.minVoicedFraction = 0.2;   // Steady takes need this share of pitched frames
+        
+        // Scoring profile (weights + curve) used by analyzeRecordings
+        this.scoringProfiles = Object.assign({}, ScoringProfiles);
+        this.scoringProfileId = 'standard';
+        
+        // DSP caches (windows and filterbanks keyed by size/rate)
+        this.windowCache = {};
+        this.melFilterbankCache = {};
+        this.yinThresholdPrior = null;
+    }
+    
+    /**
+     * Reverse a block of samples (returns a new array)
+     */
+    reverseSamples(samples) {
+        const length = samples.length;
+        const reversed = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            reversed[i] = samples[length - 1 - i];
+        }
+        return reversed;
+    }
+    
+    /**
+     * Deterministic sung-like test tone: an exponential pitch sweep with a
+     * second harmonic and short fades (used by the virtual microphone)
+     */
+    synthesizeSweep(startFrequency, endFrequency, duration, sampleRate, amplitude = 0.3) {
+        const samples = new Float32Array(Math.round(duration * sampleRate));
+        const fadeLength = Math.round(0.02 * sampleRate);
+        const ratio = endFrequency / startFrequency;
+        let phase = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const position = i / samples.length;
+            phase += 2 * Math.PI * startFrequency * Math.pow(ratio, position) / sampleRate;
+            const fade = Math.min(1, i / fadeLength, (samples.length - 1 - i) / fadeLength);
+            samples[i] = amplitude * fade * (0.75 * Math.sin(phase) + 0.25 * Math.sin(2 * phase));
+        }
+        return samples;
+    }
+    
+    /**
+     * Mix any number of channels down to mono (average)
+     */
+    downmixToMono(channels) {
+        if (channels.length === 1) {
+            return channels[0];
+        }
+        
+        const length = Math.min(...channels.map(channel => channel.length));
+        const mono = new Float32Array(length);
+        for (const channel of channels) {
+            for (let i = 0; i < length; i++) {
+                mono[i] += channel[i];
+            }
+        }
+        for (let i = 0; i < length; i++) {
+            mono[i] /= channels.length;
+        }
+        return mono;
+    }
+    
+    /**
+     * Band-limited resampling with a Hann-windowed sinc kernel
+     * When downsampling, the kernel's cutoff drops to the new Nyquist
+     * so nothing aliases.
+     */
+    resample(samples, fromRate, toRate, halfWidth = 16) {
+        if (fromRate === toRate) {
+            return samples;
+        }
+        
+        const ratio = toRate / fromRate;
+        const cutoff = Math.min(1, ratio) * 0.95; // Fraction of the input Nyquist
+        const radius = Math.ceil(halfWidth / cutoff);
+        const outputLength = Math.floor(samples.length * ratio);
+        const output = new Float32Array(outputLength);
+        
+        for (let n = 0; n < outputLength; n++) {
+            const position = n / ratio;
+            const center = Math.floor(position);
+            let sum = 0;
+            let weightSum = 0;
+            
+            for (let k = center - radius + 1; k <= center + radius; k++) {
+                if (k < 0 || k >= samples.length) continue;
+                
+                const x = position - k;
+                const window = 0.5 + 0.5 * Math.cos((Math.PI * x) / (radius + 1));
+                const arg = Math.PI * cutoff * x;
+                const sinc = arg === 0 ? 1 : Math.sin(arg) / arg;
+                const weight = cutoff * sinc * window;
+                sum += samples[k] * weight;
+                weightSum += weight;
+            }
+            
+            // Normalizing by the kernel sum keeps DC gain at exactly 1 (also at the edges)
+            output[n] = weightSum !== 0 ? sum / weightSum : 0;
+        }
+        
+        return output;
+    }
+    
+    /**
+     * Change tempo without changing pitch (WSOLA)
+     * speed < 1 plays slower: the result is samples.length / speed long.
+     * Each 40 ms Hann frame is taken from near its nominal input position,
+     * shifted by up to 10 ms to line up with the waveform the previous
+     * frame would have continued into, so overlapping frames add in phase.
+     */
+    timeStretch(samples, sampleRate, speed) {
+        if (speed === 1) {
+            return samples;
+        }
+        
+        const frameLength = 2 * Math.round(0.02 * sampleRate);
+        const synthesisHop = frameLength / 2;
+        const analysisHop = synthesisHop * speed;
+        const tolerance = Math.round(0.01 * sampleRate);
+        const window = this.getHannWindow(frameLength);
+        const outputLength = Math.round(samples.length / speed);
+        const output = new Float32Array(outputLength + frameLength);
+        const weights = new Float32Array(outputLength + frameLength);
+        
+        const at = (i) => (i >= 0 && i < samples.length ? samples[i] : 0);
+        const correlate = (a, b, step) => {
+            let sum = 0;
+            for (let n = 0; n < synthesisHop; n += step) {
+                sum += at(a + n) * at(b + n);
+            }
+            return sum;
+        };
+        
+        let previousStart = 0;
+        for (let k = 0; k * synthesisHop < outputLength; k++) {
+            let start = Math.round(k * analysisHop);
+            
+            if (k > 0) {
+                // Coarse search every 4th offset, then refine around the best one
+                const target = previousStart + synthesisHop;
+                let best = 0;
+                let bestScore = -Infinity;
+                for (let delta = -tolerance; delta <= tolerance; delta += 4) {
+                    const score = correlate(target, start + delta, 4);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        best = delta;
+                    }
+                }
+                const coarse = best;
+                bestScore = -Infinity;
+                for (let delta = coarse - 3; delta <= coarse + 3; delta++) {
+                    const score = correlate(target, start + delta, 1);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        best = delta;
+                    }
+                }
+                start += best;
+            }
+            
+            const outputStart = k * synthesisHop;
+            for (let n = 0; n < frameLength; n++) {
+                output[outputStart + n] += at(start + n) * window[n];
+                weights[outputStart + n] += window[n];
+            }
+            previousStart = start;
+        }
+        
+        const stretched = new Float32Array(outputLength);
+        for (let i = 0; i < outputLength; i++) {
+            stretched[i] = weights[i] > 1e-3 ? output[i] / weights[i] : 0;
+        }
+        return stretched;
+    }
+    
+    /**
+     * Bring a take (one Float32Array per channel) to mono at the analysis rate
+     */
+    normalizeTake(take) {
+        const mono = this.downmixToMono(take.channels);
+        return this.resample(mono, take.sampleRate, this.analysisSampleRate);
+    }
+    
+    /**
+     * Get a cached Hann window of the given size
+     */
+    getHannWindow(size) {
+        if (!this.windowCache[size]) {
+            const window = new Float32Array(size);
+            for (let i = 0; i < size; i++) {
+                window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+            }
+            this.windowCache[size] = window;
+        }
+        return this.windowCache[size];
+    }
+    
+    /**
+     * In-place iterative radix-2 FFT (size must be a power of two)
+     */
+    computeFFT(real, imag) {
+        const n = real.length;
+        
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                let tmp = real[i]; real[i] = real[j]; real[j] = tmp;
+                tmp = imag[i]; imag[i] = imag[j]; imag[j] = tmp;
+            }
+        }
+        
+        // Butterflies
+        for (let len = 2; len <= n; len <<= 1) {
+            const angle = -2 * Math.PI / len;
+            const wReal = Math.cos(angle);
+            const wImag = Math.sin(angle);
+            const half = len >> 1;
+            
+            for (let start = 0; start < n; start += len) {
+                let curReal = 1, curImag = 0;
+                for (let k = 0; k < half; k++) {
+                    const a = start + k;
+                    const b = a + half;
+                    const tReal = real[b] * curReal - imag[b] * curImag;
+                    const tImag = real[b] * curImag + imag[b] * curReal;
+                    real[b] = real[a] - tReal;
+                    imag[b] = imag[a] - tImag;
+                    real[a] += tReal;
+                    imag[a] += tImag;
+                    
+                    const nextReal = curReal * wReal - curImag * wImag;
+                    curImag = curReal * wImag + curImag * wReal;
+                    curReal = nextReal;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Hann-windowed power spectrum of one frame (fftSize / 2 + 1 bins)
+     */
+    computePowerSpectrum(audioData, start, fftSize) {
+        const window = this.getHannWindow(fftSize);
+        const real = new Float32Array(fftSize);
+        const imag = new Float32Array(fftSize);
+        
+        const available = Math.min(fftSize, audioData.length - start);
+        for (let i = 0; i < available; i++) {
+            real[i] = audioData[start + i] * window[i];
+        }
+        
+        this.computeFFT(real, imag);
+        
+        const numBins = fftSize / 2 + 1;
+        const power = new Float32Array(numBins);
+        for (let i = 0; i < numBins; i++) {
+            power[i] = real[i] * real[i] + imag[i] * imag[i];
+        }
+        return power;
+    }
+    
+    /**
+     * Build (and cache) a triangular mel filterbank over FFT bins
+     */
+    getMelFilterbank(numFilters, fftSize, sampleRate, minFreq = 0, maxFreq = sampleRate / 2) {
+        const key = [numFilters, fftSize, sampleRate, minFreq, maxFreq].join(':');
+        if (this.melFilterbankCache[key]) {
+            return this.melFilterbankCache[key];
+        }
+        
+        const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+        const melToHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+        
+        // numFilters + 2 equally spaced points on the mel scale
+        const minMel = hzToMel(minFreq);
+        const maxMel = hzToMel(maxFreq);
+        const binPoints = [];
+        for (let i = 0; i < numFilters + 2; i++) {
+            const hz = melToHz(minMel + (i / (numFilters + 1)) * (maxMel - minMel));
+            binPoints.push((hz * fftSize) / sampleRate);
+        }
+        
+        const numBins = fftSize / 2 + 1;
+        const filters = [];
+        for (let m = 1; m <= numFilters; m++) {
+            const left = binPoints[m - 1];
+            const center = binPoints[m];
+            const right = binPoints[m + 1];
+            const weights = new Float32Array(numBins);
+            
+            for (let k = Math.floor(left); k <= Math.ceil(right) && k < numBins; k++) {
+                if (k > left && k <= center) {
+                    weights[k] = (k - left) / (center - left);
+                } else if (k > center && k < right) {
+                    weights[k] = (right - k) / (right - center);
+                }
+            }
+            filters.push(weights);
+        }
+        
+        this.melFilterbankCache[key] = filters;
+        return filters;
+    }
+    
+    /**
+     * DCT-II of a vector, returning the first numCoefficients terms
+     */
+    computeDCT(input, numCoefficients) {
+        const n = input.length;
+        const output = new Array(numCoefficients).fill(0);
+        
+        for (let k = 0; k < numCoefficients; k++) {
+            let sum = 0;
+            for (let i = 0; i < n; i++) {
+                sum += input[i] * Math.cos((Math.PI * k * (2 * i + 1)) / (2 * n));
+            }
+            // Orthonormal scaling
+            output[k] = sum * Math.sqrt((k === 0 ? 1 : 2) / n);
+        }
+        
+        return output;
+    }
+    
+    /**
+     * Regression-based delta coefficients over +/- width frames
+     */
+    computeDeltas(features, width = 2) {
+        const numFrames = features.length;
+        if (numFrames === 0) return [];
+        
+        let denominator = 0;
+        for (let n = 1; n <= width; n++) {
+            denominator += 2 * n * n;
+        }
+        
+        const deltas = [];
+        for (let t = 0; t < numFrames; t++) {
+            const delta = new Array(features[t].length).fill(0);
+            for (let n = 1; n <= width; n++) {
+                const next = features[Math.min(numFrames - 1, t + n)];
+                const prev = features[Math.max(0, t - n)];
+                for (let j = 0; j < delta.length; j++) {
+                    delta[j] += n * (next[j] - prev[j]);
+                }
+            }
+            deltas.push(delta.map(d => d / denominator));
+        }
+        
+        return deltas;
+    }
+    
+    /**
+     * Extract MFCC features (timbre representation)
+     * Hann-windowed FFT -> mel filterbank -> log -> DCT, optionally with deltas.
+     * The 0th coefficient (overall loudness) is dropped so timbre isn't dominated by volume.
+     */
+    extractMFCCFeatures(audioData, sampleRate, options = {}) {
+        const windowSize = options.windowSize || 2048;
+        const hopSize = options.hopSize || 512;
+        const numCoefficients = options.numCoefficients || 13; // Standard MFCC count
+        const numFilters = options.numFilters || 26;
+        const includeDeltas = options.includeDeltas || false;
+        const features = [];
+        
+        const filterbank = this.getMelFilterbank(numFilters, windowSize, sampleRate, 20, Math.min(8000, sampleRate / 2));
+        
+        for (let pos = 0; pos < audioData.length - windowSize; pos += hopSize) {
+            const power = this.computePowerSpectrum(audioData, pos, windowSize);
+            
+            // Calculate log energy in each mel band
+            const logEnergies = filterbank.map(weights => {
+                let energy = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    if (weights[k] > 0) {
+                        energy += weights[k] * power[k];
+                    }
+                }
+                return Math.log(energy + 1e-10);
+            });
+            
+            features.push(this.computeDCT(logEnergies, numCoefficients + 1).slice(1));
+        }
+        
+        if (!includeDeltas) {
+            return features;
+        }
+        
+        const deltas = this.computeDeltas(features);
+        return features.map((frame, i) => frame.concat(deltas[i]));
+    }
+    
+    /**
+     * Cosine similarity between two feature vectors
+     */
+    calculateCosineSimilarity(f1, f2) {
+        let dotProduct = 0, mag1 = 0, mag2 = 0;
+        for (let j = 0; j < f1.length; j++) {
+            dotProduct += f1[j] * f2[j];
+            mag1 += f1[j] * f1[j];
+            mag2 += f2[j] * f2[j];
+        }
+        
+        return dotProduct / (Math.sqrt(mag1 * mag2) + 1e-10);
+    }
+    
+    /**
+     * Pair up frame indices of two sequences, either along a DTW warping path
+     * or (without a path) by linear index scaling
+     */
+    getFramePairs(length1, length2, path = null) {
+        if (path) {
+            return path;
+        }
+        
+        const minLen = Math.min(length1, length2);
+        const pairs = [];
+        for (let i = 0; i < minLen; i++) {
+            pairs.push([Math.floor(i * length1 / minLen), Math.floor(i * length2 / minLen)]);
+        }
+        return pairs;
+    }
+    
+    /**
+     * Calculate cosine similarity between two MFCC feature sets
+     */
+    calculateMFCCSimilarity(features1, features2, path = null) {
+        if (features1.length === 0 || features2.length === 0) return 0;
+        
+        const pairs = this.getFramePairs(features1.length, features2.length, path);
+        let totalSimilarity = 0;
+        
+        for (const [i, j] of pairs) {
+            totalSimilarity += this.calculateCosineSimilarity(features1[i], features2[j]);
+        }
+        
+        return totalSimilarity / pairs.length;
+    }
+    
+    /**
+     * Dynamic time warping between two feature sequences.
+     * The path is limited to a Sakoe-Chiba band of bandRatio * longest length
+     * around the (length-scaled) diagonal.
+     */
+    computeDTW(seq1, seq2, distance, bandRatio = 0.25) {
+        const n = seq1.length;
+        const m = seq2.length;
+        if (n === 0 || m === 0) {
+            return { path: [], cost: 0, normalizedCost: 0 };
+        }
+        
+        const band = Math.max(1, Math.ceil(bandRatio * Math.max(n, m)));
+        const cost = new Float64Array(n * m).fill(Infinity);
+        const steps = new Uint8Array(n * m); // 0 = diagonal, 1 = from i-1, 2 = from j-1
+        
+        for (let i = 0; i < n; i++) {
+            const center = n > 1 ? (i * (m - 1)) / (n - 1) : 0;
+            const jStart = Math.max(0, Math.floor(center - band));
+            const jEnd = Math.min(m - 1, Math.ceil(center + band));
+            
+            for (let j = jStart; j <= jEnd; j++) {
+                const d = distance(seq1[i], seq2[j]);
+                const idx = i * m + j;
+                
+                if (i === 0 && j === 0) {
+                    cost[idx] = d;
+                    continue;
+                }
+                
+                const diag = i > 0 && j > 0 ? cost[idx - m - 1] : Infinity;
+                const up = i > 0 ? cost[idx - m] : Infinity;
+                const left = j > 0 ? cost[idx - 1] : Infinity;
+                
+                if (diag <= up && diag <= left) {
+                    cost[idx] = d + diag;
+                    steps[idx] = 0;
+                } else if (up <= left) {
+                    cost[idx] = d + up;
+                    steps[idx] = 1;
+                } else {
+                    cost[idx] = d + left;
+                    steps[idx] = 2;
+                }
+            }
+        }
+        
+        // Backtrack from the end of both sequences
+        const path = [];
+        let i = n - 1, j = m - 1;
+        while (i > 0 || j > 0) {
+            path.push([i, j]);
+            const step = steps[i * m + j];
+            if (step === 0) {
+                i--; j--;
+            } else if (step === 1) {
+                i--;
+            } else {
+                j--;
+            }
+        }
+        path.push([0, 0]);
+        path.reverse();
+        
+        const totalCost = cost[n * m - 1];
+        return {
+            path,
+            cost: totalCost,
+            normalizedCost: totalCost / path.length
+        };
+    }
+    
+    /**
+     * Align two MFCC sequences with DTW (cosine distance)
+     */
+    alignFeatures(features1, features2, bandRatio = this.alignmentBandRatio) {
+        return this.computeDTW(
+            features1,
+            features2,
+            (f1, f2) => 1 - this.calculateCosineSimilarity(f1, f2),
+            bandRatio
+        );
+    }
+    
+    /**
+     * Map a warping path onto a sequence with a different hop size
+     * (e.g. MFCC frames at 512 samples -> envelope frames at 1024 samples)
+     */
+    resamplePath(path, ratio, length1, length2) {
+        const mapped = [];
+        let last = null;
+        for (const [i, j] of path) {
+            const mi = Math.min(length1 - 1, Math.floor(i * ratio));
+            const mj = Math.min(length2 - 1, Math.floor(j * ratio));
+            if (!last || last[0] !== mi || last[1] !== mj) {
+                mapped.push([mi, mj]);
+                last = [mi, mj];
+            }
+        }
+        return mapped;
+    }
+    
+    /**
+     * Prior over YIN thresholds used by probabilistic YIN (Beta(2, 18), mean 0.1)
+     */
+    getYinThresholdPrior() {
+        if (!this.yinThresholdPrior) {
+            const thresholds = [];
+            const weights = [];
+            let total = 0;
+            for (let i = 1; i < 100; i++) {
+                const s = i / 100;
+                const w = s * Math.pow(1 - s, 17);
+                thresholds.push(s);
+                weights.push(w);
+                total += w;
+            }
+            this.yinThresholdPrior = { thresholds, weights: weights.map(w => w / total) };
+        }
+        return this.yinThresholdPrior;
+    }
+    
+    /**
+     * YIN cumulative mean normalized difference function for one frame.
+     * The difference function is built from an FFT cross-correlation:
+     * d(tau) = e(0) + e(tau) - 2 r(tau)
+     */
+    computeYinCMNDF(audioData, start, integrationSize, maxLag) {
+        const frameSize = integrationSize + maxLag;
+        let fftSize = 1;
+        while (fftSize < frameSize * 2) fftSize <<= 1;
+        
+        const frame = new Float32Array(frameSize);
+        const available = Math.min(frameSize, audioData.length - start);
+        for (let i = 0; i < available; i++) {
+            frame[i] = audioData[start + i];
+        }
+        
+        // Cross-correlate the integration window with the whole frame
+        const aReal = new Float32Array(fftSize);
+        const aImag = new Float32Array(fftSize);
+        const bReal = new Float32Array(fftSize);
+        const bImag = new Float32Array(fftSize);
+        aReal.set(frame.subarray(0, integrationSize));
+        bReal.set(frame);
+        this.computeFFT(aReal, aImag);
+        this.computeFFT(bReal, bImag);
+        
+        // conj(A) * B, then inverse FFT via conjugation
+        for (let k = 0; k < fftSize; k++) {
+            const re = aReal[k] * bReal[k] + aImag[k] * bImag[k];
+            const im = aReal[k] * bImag[k] - aImag[k] * bReal[k];
+            aReal[k] = re;
+            aImag[k] = -im;
+        }
+        this.computeFFT(aReal, aImag);
+        
+        // Windowed energies via prefix sums
+        const prefix = new Float64Array(frameSize + 1);
+        for (let i = 0; i < frameSize; i++) {
+            prefix[i + 1] = prefix[i] + frame[i] * frame[i];
+        }
+        const energy0 = prefix[integrationSize];
+        
+        const cmndf = new Float32Array(maxLag + 1);
+        cmndf[0] = 1;
+        let runningSum = 0;
+        for (let tau = 1; tau <= maxLag; tau++) {
+            const correlation = aReal[tau] / fftSize;
+            const energyTau = prefix[tau + integrationSize] - prefix[tau];
+            const diff = Math.max(0, energy0 + energyTau - 2 * correlation);
+            runningSum += diff;
+            cmndf[tau] = runningSum > 0 ? (diff * tau) / runningSum : 1;
+        }
+        
+        return { cmndf, energy: energy0 };
+    }
+    
+    /**
+     * Extract pitch contour using probabilistic YIN (pYIN, first stage)
+     * Returns one entry per frame (2048 window, 512 hop):
+     *   f0         - fundamental in Hz, 0 when unvoiced
+     *   voicing    - probability the frame is voiced (threshold-prior mass that found a pitch)
+     *   confidence - periodicity of the chosen period (1 - CMNDF dip depth)
+     * The CMNDF is normalized, so voicing does not depend on loudness.
+     */
+    extractPitchContour(audioData, sampleRate, options = {}) {
+        const windowSize = options.windowSize || 2048;
+        const hopSize = options.hopSize || 512;
+        const minFreq = options.minFreq || 50;    // Low bass
+        const maxFreq = options.maxFreq || 2000;  // Falsetto and whistling
+        const voicingThreshold = options.voicingThreshold || 0.5;
+        const pitchContour = [];
+        
+        const integrationSize = windowSize / 2;
+        const maxLag = Math.min(windowSize - integrationSize, Math.ceil(sampleRate / minFreq));
+        const minLag = Math.max(2, Math.floor(sampleRate / maxFreq));
+        const prior = this.getYinThresholdPrior();
+        
+        for (let pos = 0; pos < audioData.length - windowSize; pos += hopSize) {
+            const { cmndf, energy } = this.computeYinCMNDF(audioData, pos, integrationSize, maxLag);
+            
+            // Digital silence has no period at all
+            if (energy < 1e-12) {
+                pitchContour.push({ f0: 0, voicing: 0, confidence: 0 });
+                continue;
+            }
+            
+            // Troughs of the CMNDF in the allowed lag range, in lag order
+            const troughs = [];
+            for (let tau = minLag; tau < maxLag; tau++) {
+                if (cmndf[tau] < cmndf[tau - 1] && cmndf[tau] <= cmndf[tau + 1]) {
+                    troughs.push(tau);
+                }
+            }
+            
+            // Each threshold votes for the first trough that dips below it
+            const probabilities = new Map();
+            let voicing = 0;
+            for (let t = 0; t < prior.thresholds.length; t++) {
+                const trough = troughs.find(tau => cmndf[tau] < prior.thresholds[t]);
+                if (trough !== undefined) {
+                    probabilities.set(trough, (probabilities.get(trough) || 0) + prior.weights[t]);
+                    voicing += prior.weights[t];
+                }
+            }
+            
+            let bestLag = 0;
+            let bestProbability = 0;
+            for (const [tau, probability] of probabilities) {
+                if (probability > bestProbability) {
+                    bestProbability = probability;
+                    bestLag = tau;
+                }
+            }
+            
+            if (bestLag === 0 || voicing < voicingThreshold) {
+                const deepest = troughs.reduce((min, tau) => Math.min(min, cmndf[tau]), 1);
+                pitchContour.push({ f0: 0, voicing, confidence: Math.max(0, 1 - deepest) });
+                continue;
+            }
+            
+            // Parabolic interpolation around the chosen lag
+            const a = cmndf[bestLag - 1];
+            const b = cmndf[bestLag];
+            const c = cmndf[bestLag + 1];
+            const denominator = a - 2 * b + c;
+            const shift = denominator !== 0 ? 0.5 * (a - c) / denominator : 0;
+            const refinedLag = bestLag + Math.max(-1, Math.min(1, shift));
+            
+            pitchContour.push({
+                f0: sampleRate / refinedLag,
+                voicing,
+                confidence: Math.max(0, Math.min(1, 1 - b))
+            });
+        }
+        
+        return pitchContour;
+    }
+    
+    /**
+     * Convert a frequency to cents relative to a reference frequency
+     */
+    hzToCents(frequency, reference = 440) {
+        return 1200 * Math.log2(frequency / reference);
+    }
+    
+    /**
+     * Median of an array of numbers (0 for an empty array)
+     */
+    calculateMedian(values) {
+        if (values.length === 0) return 0;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+    
+    /**
+     * Best global transposition (in cents) of contour2 onto contour1:
+     * the median interval across frame pairs where both takes are voiced
+     */
+    estimateTransposition(contour1, contour2, path = null) {
+        const pairs = this.getFramePairs(contour1.length, contour2.length, path);
+        const intervals = [];
+        for (const [i, j] of pairs) {
+            if (contour1[i].f0 > 0 && contour2[j].f0 > 0) {
+                intervals.push(this.hzToCents(contour1[i].f0, contour2[j].f0));
+            }
+        }
+        return this.calculateMedian(intervals);
+    }
+    
+    /**
+     * Calculate pitch contour match, weighting frames by tracker confidence
+     * Pitch is compared in cents. In 'melody' mode the attempt is first transposed
+     * by the best global interval, so only the melody shape counts; in 'absolute'
+     * mode the singer has to hit the same notes.
+     * Returns { match, transposition } (transposition in cents, 0 in 'absolute').
+     */
+    calculatePitchContourMatch(contour1, contour2, path = null, mode = this.pitchScoringMode) {
+        if (contour1.length === 0 || contour2.length === 0) return { match: 0.5, transposition: 0 };
+        
+        const pairs = this.getFramePairs(contour1.length, contour2.length, path);
+        const transposition = mode === 'melody' ? this.estimateTransposition(contour1, contour2, path) : 0;
+        let totalDiff = 0;
+        let totalWeight = 0;
+        
+        for (const [i, j] of pairs) {
+            const p1 = contour1[i];
+            const p2 = contour2[j];
+            
+            // Skip if both are unvoiced
+            if (p1.f0 === 0 && p2.f0 === 0) continue;
+            
+            // If one is voiced and other isn't, penalize by how sure we are it was voiced
+            if ((p1.f0 === 0) !== (p2.f0 === 0)) {
+                const weight = p1.f0 !== 0 ? p1.confidence : p2.confidence;
+                totalDiff += weight;
+                totalWeight += weight;
+                continue;
+            }
+            
+            // Both voiced - compare the interval in cents (pitchToleranceCents off is a full miss)
+            const weight = Math.sqrt(p1.confidence * p2.confidence);
+            const cents = this.hzToCents(p1.f0, p2.f0) - transposition;
+            const diff = Math.abs(cents) / this.pitchToleranceCents;
+            totalDiff += weight * Math.min(1, diff);
+            totalWeight += weight;
+        }
+        
+        if (totalWeight < 1e-6) return { match: 0.5, transposition }; // Neutral if no confident voiced frames
+        
+        const avgDiff = totalDiff / totalWeight;
+        return { match: 1 - avgDiff, transposition }; // Convert difference to similarity
+    }
+    
+    /**
+     * Pitch contours of both takes for display, in cents relative to A4
+     * Each frame is { time, cents, other }: its own pitch (null when
+     * unvoiced) and the other take's pitch at the aligned frame, moved by the
+     * melody-mode transposition so the two can be compared on either take's
+     * timeline. Regions are the stretches that matched or missed along the
+     * alignment path: 'match' while both are voiced within
+     * pitchHighlightCents, 'miss' where the pitch is further off or only one
+     * take is confidently voiced. Times are seconds into each full take;
+     * offsets are the trimmed starts (samples) the contour frames count from.
+     */
+    describePitchTrack(contour1, contour2, path, transposition, sampleRate, offsets = [0, 0], hopSize = 512, windowSize = 2048) {
+        const frameTime = (frame, offset) => (offset + frame * hopSize + windowSize / 2) / sampleRate;
+        const toCents = (contour) => contour.map(p => (p.f0 > 0 ? Math.round(this.hzToCents(p.f0)) : null));
+        const cents1 = toCents(contour1);
+        const cents2 = toCents(contour2);
+        const other1 = new Array(cents1.length).fill(null);
+        const other2 = new Array(cents2.length).fill(null);
+        
+        // Judge each frame pair, then group runs with the same verdict
+        const regions = [];
+        for (const [i, j] of this.getFramePairs(contour1.length, contour2.length, path)) {
+            if (cents2[j] !== null) other1[i] = cents2[j] + Math.round(transposition);
+            if (cents1[i] !== null) other2[j] = cents1[i] - Math.round(transposition);
+            
+            let status = null;
+            if (cents1[i] !== null && cents2[j] !== null) {
+                status = Math.abs(cents1[i] - other1[i]) <= this.pitchHighlightCents ? 'match' : 'miss';
+            } else if (cents1[i] !== null || cents2[j] !== null) {
+                status = (cents1[i] !== null ? contour1[i].confidence : contour2[j].confidence) > 0.5 ? 'miss' : null;
+            }
+            
+            const last = regions[regions.length - 1];
+            if (last && last.status === status) {
+                last.frames[1] = i;
+                last.attemptFrames[1] = Math.max(last.attemptFrames[1], j);
+            } else {
+                regions.push({ status, frames: [i, i], attemptFrames: [j, j] });
+            }
+        }
+        
+        const halfHop = hopSize / 2 / sampleRate;
+        return {
+            reference: 440,
+            transposition,
+            toleranceCents: this.pitchHighlightCents,
+            original: cents1.map((cents, i) => ({ time: frameTime(i, offsets[0]), cents, other: other1[i] })),
+            attempt: cents2.map((cents, j) => ({ time: frameTime(j, offsets[1]), cents, other: other2[j] })),
+            regions: regions.filter(region => region.status !== null).map(region => ({
+                status: region.status,
+                original: [frameTime(region.frames[0], offsets[0]) - halfHop, frameTime(region.frames[1], offsets[0]) + halfHop],
+                attempt: [frameTime(region.attemptFrames[0], offsets[1]) - halfHop, frameTime(region.attemptFrames[1], offsets[1]) + halfHop]
+            }))
+        };
+    }
+    
+    /**
+     * Log-frequency spectrogram for display
+     * Rows run from minFrequency (row 0) to maxFrequency on a cents scale, so
+     * a pitch contour in cents lines up with its fundamental. Values are
+     * dB relative to the loudest cell, mapped from [-range, 0] to [0, 1].
+     * Returns { values, columns, rows, minFrequency, maxFrequency } with the
+     * cell for (column, row) at values[column * rows + row].
+     */
+    computeSpectrogram(audioData, sampleRate, options = {}) {
+        const fftSize = options.fftSize || 2048;
+        const columns = options.columns || 300;
+        const rows = options.rows || 120;
+        const minFrequency = options.minFrequency || 65;     // C2
+        const maxFrequency = Math.min(options.maxFrequency || 2093, sampleRate / 2); // C7
+        const rangeDb = options.rangeDb || 70;
+        
+        // Fractional FFT bin for each row
+        const span = Math.log2(maxFrequency / minFrequency);
+        const rowBins = new Float32Array(rows);
+        for (let row = 0; row < rows; row++) {
+            rowBins[row] = minFrequency * Math.pow(2, (row / (rows - 1)) * span) * fftSize / sampleRate;
+        }
+        
+        const values = new Float32Array(columns * rows);
+        const lastStart = Math.max(0, audioData.length - fftSize);
+        let loudest = -Infinity;
+        for (let column = 0; column < columns; column++) {
+            const pos = columns > 1 ? Math.round((column * lastStart) / (columns - 1)) : 0;
+            const power = this.computePowerSpectrum(audioData, pos, fftSize);
+            for (let row = 0; row < rows; row++) {
+                const bin = rowBins[row];
+                const low = Math.floor(bin);
+                const fraction = bin - low;
+                const value = power[low] * (1 - fraction) + (power[low + 1] || 0) * fraction;
+                const db = 10 * Math.log10(value + 1e-12);
+                values[column * rows + row] = db;
+                if (db > loudest) loudest = db;
+            }
+        }
+        
+        for (let i = 0; i < values.length; i++) {
+            values[i] = Math.max(0, 1 + (values[i] - loudest) / rangeDb);
+        }
+        
+        return { values, columns, rows, minFrequency, maxFrequency };
+    }
+    
+    /**
+     * Calculate spectral centroid (brightness) from audio data
+     */
+    calculateSpectralCentroid(audioData, sampleRate) {
+        const fftSize = 2048;
+        const numFrames = Math.floor(audioData.length / fftSize);
+        let totalCentroid = 0;
+        let voicedFrames = 0;
+        
+        for (let frame = 0; frame < numFrames; frame++) {
+            const power = this.computePowerSpectrum(audioData, frame * fftSize, fftSize);
+            
+            let weightedSum = 0;
+            let magnitudeSum = 0;
+            
+            for (let i = 0; i < power.length; i++) {
+                const magnitude = Math.sqrt(power[i]);
+                const frequency = (i * sampleRate) / fftSize;
+                weightedSum += frequency * magnitude;
+                magnitudeSum += magnitude;
+            }
+            
+            if (magnitudeSum > 0) {
+                totalCentroid += weightedSum / magnitudeSum;
+                voicedFrames++;
+            }
+        }
+        
+        return voicedFrames > 0 ? totalCentroid / voicedFrames : 0;
+    }
+    
+    /**
+     * Calculate RMS energy curve
+     */
+    calculateRMSEnergyCurve(audioData, windowSize = 2048) {
+        const energyCurve = [];
+        const hopSize = windowSize / 2;
+        
+        for (let i = 0; i < audioData.length - windowSize; i += hopSize) {
+            let sum = 0;
+            for (let j = 0; j < windowSize; j++) {
+                sum += audioData[i + j] * audioData[i + j];
+            }
+            energyCurve.push(Math.sqrt(sum / windowSize));
+        }
+        
+        return energyCurve;
+    }
+    
+    /**
+     * Apply the BS.1770 K-weighting filter (high shelf + high pass)
+     * Coefficients are derived for any sample rate, not just 48 kHz.
+     */
+    applyKWeighting(audioData, sampleRate) {
+        const biquad = (input, b0, b1, b2, a1, a2) => {
+            const output = new Float32Array(input.length);
+            let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+            for (let i = 0; i < input.length; i++) {
+                const x = input[i];
+                const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+                x2 = x1; x1 = x;
+                y2 = y1; y1 = y;
+                output[i] = y;
+            }
+            return output;
+        };
+        
+        // Stage 1: +4 dB high shelf modelling the head
+        let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        let Q = 0.7071752369554196;
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q + K * K;
+        const shelved = biquad(
+            audioData,
+            (Vh + Vb * K / Q + K * K) / a0,
+            2 * (K * K - Vh) / a0,
+            (Vh - Vb * K / Q + K * K) / a0,
+            2 * (K * K - 1) / a0,
+            (1 - K / Q + K * K) / a0
+        );
+        
+        // Stage 2: ~38 Hz high pass (RLB weighting)
+        K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        Q = 0.5003270373238773;
+        a0 = 1 + K / Q + K * K;
+        return biquad(shelved, 1, -2, 1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0);
+    }
+    
+    /**
+     * Measure loudness of a mono clip
+     * lufs is gated integrated loudness (400 ms blocks, 75% overlap,
+     * -70 LUFS absolute and -10 LU relative gates); rms/peak are plain dBFS.
+     * range is an EBU R128-style loudness range in LU: the spread between the
+     * 10th and 95th percentile block loudness (-20 LU relative gate), taken
+     * over the 400 ms blocks since takes are too short for 3 s windows.
+     * Silent clips report -Infinity (and a range of 0).
+     */
+    measureLoudness(audioData, sampleRate) {
+        let sumSquares = 0;
+        let peak = 0;
+        for (let i = 0; i < audioData.length; i++) {
+            sumSquares += audioData[i] * audioData[i];
+            peak = Math.max(peak, Math.abs(audioData[i]));
+        }
+        const rms = Math.sqrt(sumSquares / Math.max(1, audioData.length));
+        const toDb = value => value > 0 ? 20 * Math.log10(value) : -Infinity;
+        const toLufs = meanSquare => meanSquare > 0 ? -0.691 + 10 * Math.log10(meanSquare) : -Infinity;
+        
+        const weighted = this.applyKWeighting(audioData, sampleRate);
+        const blockSize = Math.min(weighted.length, Math.round(0.4 * sampleRate));
+        const hopSize = Math.max(1, Math.round(blockSize / 4));
+        const blocks = [];
+        for (let start = 0; blockSize > 0 && start + blockSize <= weighted.length; start += hopSize) {
+            let sum = 0;
+            for (let i = start; i < start + blockSize; i++) {
+                sum += weighted[i] * weighted[i];
+            }
+            blocks.push(sum / blockSize);
+        }
+        
+        const gatedMean = threshold => {
+            const kept = blocks.filter(b => toLufs(b) > threshold);
+            return kept.length > 0 ? kept.reduce((a, b) => a + b, 0) / kept.length : 0;
+        };
+        const absoluteGated = gatedMean(-70);
+        const lufs = absoluteGated > 0 ? toLufs(gatedMean(toLufs(absoluteGated) - 10)) : -Infinity;
+        
+        let range = 0;
+        if (absoluteGated > 0) {
+            const rangeGate = toLufs(absoluteGated) - 20;
+            const levels = blocks.map(toLufs).filter(level => level > -70 && level > rangeGate).sort((a, b) => a - b);
+            const percentile = fraction => levels[Math.min(levels.length - 1, Math.floor(fraction * levels.length))];
+            range = levels.length > 1 ? percentile(0.95) - percentile(0.1) : 0;
+        }
+        
+        return { lufs, range, rms, rmsDb: toDb(rms), peak, peakDb: toDb(peak) };
+    }
+    
+    /**
+     * Quick level reading for one short block (live metering)
+     * Cheaper than measureLoudness: no weighting or gating.
+     */
+    measureLevel(samples) {
+        let sumSquares = 0;
+        let min = 0, max = 0;
+        let clippedSamples = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const x = samples[i];
+            sumSquares += x * x;
+            if (x < min) min = x;
+            if (x > max) max = x;
+            if (Math.abs(x) >= this.clipLevel) clippedSamples++;
+        }
+        const peak = Math.max(-min, max);
+        const rms = Math.sqrt(sumSquares / Math.max(1, samples.length));
+        return {
+            rms,
+            peak,
+            min,
+            max,
+            rmsDb: rms > 0 ? 20 * Math.log10(rms) : -Infinity,
+            peakDb: peak > 0 ? 20 * Math.log10(peak) : -Infinity,
+            clippedSamples
+        };
+    }
+    
+    /**
+     * Min/max per column for drawing a whole take as a waveform
+     * Returns `columns` entries of { min, max } (fewer if the take is shorter).
+     */
+    computeWaveformPeaks(samples, columns) {
+        const count = Math.max(1, Math.min(columns, samples.length));
+        const peaks = [];
+        for (let c = 0; c < count; c++) {
+            const start = Math.floor(c * samples.length / count);
+            const end = Math.max(start + 1, Math.floor((c + 1) * samples.length / count));
+            let min = 0, max = 0;
+            for (let i = start; i < end && i < samples.length; i++) {
+                if (samples[i] < min) min = samples[i];
+                if (samples[i] > max) max = samples[i];
+            }
+            peaks.push({ min, max });
+        }
+        return peaks;
+    }
+    
+    /**
+     * Fresh state for updateVoiceTrigger (times are in seconds on any clock)
+     */
+    createVoiceTriggerState() {
+        return { phase: 'waiting', aboveSince: null, belowSince: null, voiceStart: null, voiceEnd: null };
+    }
+    
+    /**
+     * Feed one live level reading into a voice trigger
+     * Returns 'start' once the level has held above voiceTriggerLevelDb for
+     * voiceTriggerHoldTime, 'stop' after trailingSilenceDuration of quiet
+     * following that, otherwise null. voiceStart/voiceEnd track the voiced span.
+     */
+    updateVoiceTrigger(state, rmsDb, time) {
+        if (state.phase === 'waiting') {
+            if (rmsDb < this.voiceTriggerLevelDb) {
+                state.aboveSince = null;
+                return null;
+            }
+            if (state.aboveSince === null) state.aboveSince = time;
+            if (time - state.aboveSince < this.voiceTriggerHoldTime) return null;
+            
+            state.phase = 'voiced';
+            state.voiceStart = state.aboveSince;
+            state.voiceEnd = time;
+            return 'start';
+        }
+        
+        if (state.phase === 'voiced') {
+            if (rmsDb >= this.voiceTriggerLevelDb - this.voiceTriggerHysteresisDb) {
+                state.belowSince = null;
+                state.voiceEnd = time;
+                return null;
+            }
+            if (state.belowSince === null) state.belowSince = time;
+            if (time - state.belowSince < this.trailingSilenceDuration) return null;
+            
+            state.phase = 'done';
+            return 'stop';
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Linear gain that brings a measured loudness to targetLufs,
+     * capped at maxGain so near-silent clips aren't blown up into noise,
+     * and so the measured peak lands at or below peakCeilingDb (dBFS)
+     */
+    getLoudnessGain(loudness, targetLufs, maxGain = Infinity, peakCeilingDb = Infinity) {
+        if (!isFinite(loudness.lufs)) return 1;
+        const peakGain = loudness.peak > 0 ? Math.pow(10, peakCeilingDb / 20) / loudness.peak : Infinity;
+        return Math.min(maxGain, peakGain, Math.pow(10, (targetLufs - loudness.lufs) / 20));
+    }
+    
+    /**
+     * Scale samples by a constant gain (returns a new array)
+     */
+    scaleSamples(samples, gain) {
+        const scaled = new Float32Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            scaled[i] = samples[i] * gain;
+        }
+        return scaled;
+    }
+    
+    /**
+     * Spectral flux onset strength (half-wave rectified, log-compressed)
+     * One value per hop, normalized so the strongest onset is 1.
+     */
+    calculateSpectralFlux(audioData, fftSize = 1024, hopSize = 256) {
+        const flux = [];
+        let previous = new Float32Array(fftSize / 2 + 1); // Clip starts from silence
+        
+        for (let pos = 0; pos + fftSize <= audioData.length; pos += hopSize) {
+            const power = this.computePowerSpectrum(audioData, pos, fftSize);
+            const magnitude = new Float32Array(power.length);
+            for (let k = 0; k < power.length; k++) {
+                magnitude[k] = Math.log(1 + Math.sqrt(power[k]));
+            }
+            
+            let sum = 0;
+            for (let k = 0; k < magnitude.length; k++) {
+                const diff = magnitude[k] - previous[k];
+                if (diff > 0) sum += diff;
+            }
+            flux.push(sum);
+            previous = magnitude;
+        }
+        
+        const peak = flux.reduce((max, value) => Math.max(max, value), 0);
+        return peak > 0 ? flux.map(value => value / peak) : flux;
+    }
+    
+    /**
+     * Detect onset times in audio (sample positions) by peak-picking spectral flux
+     * A peak counts when it is the local maximum, clears the local mean by
+     * `threshold`, and is at least `minInterval` seconds after the last onset.
+     */
+    detectOnsets(audioData, sampleRate, options = {}) {
+        const fftSize = 1024;
+        const hopSize = 256;
+        const threshold = options.threshold !== undefined ? options.threshold : 0.1;
+        const minInterval = options.minInterval !== undefined ? options.minInterval : 0.05; // seconds
+        const flux = this.calculateSpectralFlux(audioData, fftSize, hopSize);
+        
+        const hopTime = hopSize / sampleRate;
+        const maxRadius = Math.max(1, Math.round(0.03 / hopTime));   // Local max over +/- 30 ms
+        const meanRadius = Math.max(1, Math.round(0.1 / hopTime));   // Local mean over +/- 100 ms
+        const minGap = Math.round(minInterval / hopTime);
+        const onsets = [];
+        let lastOnset = -Infinity;
+        
+        for (let n = 0; n < flux.length; n++) {
+            let isMax = true;
+            for (let k = Math.max(0, n - maxRadius); k <= Math.min(flux.length - 1, n + maxRadius); k++) {
+                if (flux[k] > flux[n]) {
+                    isMax = false;
+                    break;
+                }
+            }
+            if (!isMax) continue;
+            
+            let sum = 0, count = 0;
+            for (let k = Math.max(0, n - meanRadius); k <= Math.min(flux.length - 1, n + meanRadius); k++) {
+                sum += flux[k];
+                count++;
+            }
+            
+            if (flux[n] >= sum / count + threshold && n - lastOnset >= minGap) {
+                onsets.push(n * hopSize + fftSize / 2);
+                lastOnset = n;
+            }
+        }
+        
+        return onsets;
+    }
+    
+    /**
+     * Match attempt onsets to reference onsets within a tolerance window (samples)
+     * Each onset is used at most once; returns precision, recall, F1 and
+     * mean absolute timing error (in samples) over the matched pairs.
+     */
+    matchOnsets(referenceOnsets, attemptOnsets, tolerance) {
+        const matches = [];
+        const used = new Array(attemptOnsets.length).fill(false);
+        
+        for (const reference of referenceOnsets) {
+            let best = -1;
+            let bestDistance = Infinity;
+            for (let j = 0; j < attemptOnsets.length; j++) {
+                const distance = Math.abs(attemptOnsets[j] - reference);
+                if (!used[j] && distance <= tolerance && distance < bestDistance) {
+                    best = j;
+                    bestDistance = distance;
+                }
+            }
+            if (best !== -1) {
+                used[best] = true;
+                matches.push([reference, attemptOnsets[best]]);
+            }
+        }
+        
+        const precision = attemptOnsets.length > 0 ? matches.length / attemptOnsets.length : 0;
+        const recall = referenceOnsets.length > 0 ? matches.length / referenceOnsets.length : 0;
+        const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+        const meanError = matches.length > 0
+            ? matches.reduce((sum, [a, b]) => sum + Math.abs(a - b), 0) / matches.length
+            : 0;
+        
+        return { matches, precision, recall, f1, meanError };
+    }
+    
+    /**
+     * Rhythm match (0-1) from onset alignment of two takes
+     * F1 of matched onsets, discounted by up to half for timing error.
+     * origin1/origin2 are the samples each take's timeline is measured from
+     * (e.g. where the voice starts), so a late start isn't a rhythm error.
+     */
+    calculateRhythmMatch(data1, data2, sampleRate, origin1 = 0, origin2 = 0) {
+        const tolerance = Math.round(this.onsetToleranceSeconds * sampleRate);
+        const onsets1 = this.detectOnsets(data1, sampleRate).map(onset => onset - origin1);
+        const onsets2 = this.detectOnsets(data2, sampleRate).map(onset => onset - origin2);
+        const match = this.matchOnsets(onsets1, onsets2, tolerance);
+        
+        let value;
+        if (onsets1.length === 0 && onsets2.length === 0) {
+            value = 0.5; // Neutral if neither take has any attacks
+        } else {
+            value = match.f1 * (1 - 0.5 * match.meanError / Math.max(1, tolerance));
+        }
+        
+        return {
+            value,
+            precision: match.precision,
+            recall: match.recall,
+            meanTimingError: match.meanError / sampleRate,
+            onsets1: onsets1.length,
+            onsets2: onsets2.length,
+            matched: match.matches.length
+        };
+    }
+    
+    /**
+     * Energy + zero-crossing voice activity detection
+     * Returns the first/last active sample (with padding) so leading and
+     * trailing dead air can be trimmed. The energy threshold adapts to the
+     * clip's own noise floor; quiet fricatives are caught by their high ZCR.
+     */
+    detectVoiceActivity(audioData, sampleRate, options = {}) {
+        const frameSize = Math.max(1, Math.round((options.frameDuration || 0.01) * sampleRate));
+        const padding = Math.round((options.padding !== undefined ? options.padding : 0.1) * sampleRate);
+        const energyRatio = options.energyRatio || 4;       // ~12 dB over the noise floor
+        const zcrThreshold = options.zcrThreshold || 0.3;   // Crossings per sample
+        const numFrames = Math.floor(audioData.length / frameSize);
+        
+        const energies = [];
+        const zcrs = [];
+        for (let f = 0; f < numFrames; f++) {
+            const start = f * frameSize;
+            let sum = 0;
+            let crossings = 0;
+            for (let i = start; i < start + frameSize; i++) {
+                sum += audioData[i] * audioData[i];
+                if (i > start && (audioData[i] >= 0) !== (audioData[i - 1] >= 0)) {
+                    crossings++;
+                }
+            }
+            energies.push(Math.sqrt(sum / frameSize));
+            zcrs.push(crossings / frameSize);
+        }
+        
+        if (numFrames === 0) {
+            return { start: 0, end: audioData.length, voiceStart: 0, hasVoice: false, activeFrames: 0, frameDuration: frameSize / sampleRate };
+        }
+        
+        // Noise floor = 10th percentile of frame energy
+        const sorted = energies.slice().sort((a, b) => a - b);
+        const noiseFloor = sorted[Math.floor(sorted.length * 0.1)];
+        const peak = sorted[sorted.length - 1];
+        const threshold = Math.max(noiseFloor * energyRatio, peak * 0.02, 1e-4);
+        
+        let first = -1;
+        let last = -1;
+        let activeFrames = 0;
+        for (let f = 0; f < numFrames; f++) {
+            const loud = energies[f] > threshold;
+            const fricative = energies[f] > Math.max(noiseFloor * 2, peak * 0.005, 1e-4) && zcrs[f] > zcrThreshold;
+            if (loud || fricative) {
+                if (first === -1) first = f;
+                last = f;
+                activeFrames++;
+            }
+        }
+        
+        if (first === -1) {
+            return { start: 0, end: audioData.length, voiceStart: 0, hasVoice: false, activeFrames: 0, frameDuration: frameSize / sampleRate };
+        }
+        
+        return {
+            start: Math.max(0, first * frameSize - padding),
+            end: Math.min(audioData.length, (last + 1) * frameSize + padding),
+            voiceStart: first * frameSize,
+            hasVoice: true,
+            activeFrames,
+            frameDuration: frameSize / sampleRate
+        };
+    }
+    
+    /**
+     * Split a take into phrase/syllable chunks for practising piece by piece
+     * Voiced stretches are separated by silences of 60 ms or more; inside a
+     * stretch, cuts go at the quietest point just before each onset and at
+     * energy valleys ~6 dB below the neighbouring peaks. Cuts closer than
+     * minDuration to each other or to an edge are dropped (quietest kept),
+     * and chunks are merged until there are at most maxSegments.
+     * Returns [{ start, end, startTime, endTime }] (samples and seconds).
+     */
+    segmentPhrases(audioData, sampleRate, options = {}) {
+        const minDuration = options.minDuration !== undefined ? options.minDuration : 0.2; // seconds
+        const maxSegments = options.maxSegments || 12;
+        const windowSize = 2 * Math.round(0.01 * sampleRate);
+        const hopSize = windowSize / 2;
+        const energy = this.calculateRMSEnergyCurve(audioData, windowSize);
+        if (energy.length === 0) return [];
+        
+        const hopTime = hopSize / sampleRate;
+        const toSample = (frame) => Math.min(audioData.length, frame * hopSize + hopSize / 2);
+        const toFrame = (sample) => Math.max(0, Math.min(energy.length - 1, Math.round((sample - hopSize / 2) / hopSize)));
+        const minFrames = Math.round(minDuration / hopTime);
+        
+        // Silence threshold as in detectVoiceActivity, but never above -12 dB
+        // from the peak so a take with no pauses isn't all "noise floor"
+        const sorted = energy.slice().sort((a, b) => a - b);
+        const peak = sorted[sorted.length - 1];
+        const silence = Math.max(Math.min(sorted[Math.floor(sorted.length * 0.1)] * 4, peak * 0.25), peak * 0.05, 1e-4);
+        
+        // Voiced runs, bridging gaps under 60 ms and dropping clicks under 50 ms
+        const maxGap = Math.round(0.06 / hopTime);
+        const minRun = Math.round(0.05 / hopTime);
+        const runs = [];
+        let runStart = -1;
+        let lastActive = -1;
+        for (let f = 0; f <= energy.length; f++) {
+            const active = f < energy.length && energy[f] > silence;
+            if (active) {
+                if (runStart === -1) runStart = f;
+                lastActive = f;
+            } else if (runStart !== -1 && (f === energy.length || f - lastActive > maxGap)) {
+                if (lastActive - runStart + 1 >= minRun) runs.push([runStart, lastActive + 1]);
+                runStart = -1;
+            }
+        }
+        
+        // Candidate cuts: just before each onset, and at energy valleys
+        const candidates = [];
+        const lookBack = Math.round(0.08 / hopTime);
+        for (const onset of this.detectOnsets(audioData, sampleRate)) {
+            const onsetFrame = toFrame(onset);
+            let quietest = onsetFrame;
+            for (let f = Math.max(0, onsetFrame - lookBack); f <= onsetFrame; f++) {
+                if (energy[f] < energy[quietest]) quietest = f;
+            }
+            candidates.push(quietest);
+        }
+        const valleyRadius = Math.round(0.15 / hopTime);
+        for (let f = 1; f < energy.length - 1; f++) {
+            if (energy[f] > energy[f - 1] || energy[f] > energy[f + 1]) continue;
+            let left = 0, right = 0;
+            for (let k = Math.max(0, f - valleyRadius); k < f; k++) left = Math.max(left, energy[k]);
+            for (let k = f + 1; k <= Math.min(energy.length - 1, f + valleyRadius); k++) right = Math.max(right, energy[k]);
+            if (energy[f] < 0.5 * Math.min(left, right)) candidates.push(f);
+        }
+        candidates.sort((a, b) => energy[a] - energy[b]);
+        
+        const segments = [];
+        const padding = Math.round(0.02 * sampleRate);
+        for (const [start, end] of runs) {
+            const cuts = [];
+            for (const cut of candidates) {
+                if (cut - start < minFrames || end - cut < minFrames) continue;
+                if (cuts.some(other => Math.abs(other - cut) < minFrames)) continue;
+                cuts.push(cut);
+            }
+            cuts.sort((a, b) => a - b);
+            
+            const edges = [start, ...cuts, end];
+            for (let i = 0; i < edges.length - 1; i++) {
+                segments.push({
+                    start: i === 0 ? Math.max(0, toSample(edges[i]) - padding) : toSample(edges[i]),
+                    end: i === edges.length - 2 ? Math.min(audioData.length, toSample(edges[i + 1]) + padding) : toSample(edges[i + 1])
+                });
+            }
+        }
+        
+        // Too many pieces to be useful: merge the shortest neighbouring pair
+        while (segments.length > maxSegments) {
+            let best = 0;
+            for (let i = 1; i < segments.length - 1; i++) {
+                const length = segments[i + 1].end - segments[i].start;
+                if (length < segments[best + 1].end - segments[best].start) best = i;
+            }
+            segments.splice(best, 2, { start: segments[best].start, end: segments[best + 1].end });
+        }
+        
+        return segments.map(segment => ({
+            ...segment,
+            startTime: segment.start / sampleRate,
+            endTime: segment.end / sampleRate
+        }));
+    }
+    
+    /**
+     * Find leading/trailing silence in a clip
+     * Times are in seconds so the UI can show them directly.
+     */
+    getTrimPoints(data, sampleRate) {
+        const vad = this.trimSilenceEnabled
+            ? this.detectVoiceActivity(data, sampleRate)
+            : { start: 0, end: data.length, voiceStart: 0, hasVoice: true };
+        
+        return {
+            start: vad.start,
+            end: vad.end,
+            startTime: vad.start / sampleRate,
+            endTime: vad.end / sampleRate,
+            duration: (vad.end - vad.start) / sampleRate,
+            voiceStart: vad.voiceStart,
+            leadingSilence: vad.start / sampleRate,
+            trailingSilence: (data.length - vad.end) / sampleRate,
+            hasVoice: vad.hasVoice
+        };
+    }
+    
+    /**
+     * Check that a take is something we can score
+     * status is one of:
+     *   'ok'         - usable
+     *   'silent'     - (near) digital silence
+     *   'clipped'    - too many samples at full scale
+     *   'noise-only' - steady noise with nothing rising above it
+     *   'too-short'  - voiced part shorter than minVoicedDuration
+     */
+    validateClip(audioData, sampleRate) {
+        let peak = 0;
+        let sumSquares = 0;
+        let clippedSamples = 0;
+        for (let i = 0; i < audioData.length; i++) {
+            const magnitude = Math.abs(audioData[i]);
+            if (magnitude > peak) peak = magnitude;
+            if (magnitude >= this.clipLevel) clippedSamples++;
+            sumSquares += audioData[i] * audioData[i];
+        }
+        
+        const rms = Math.sqrt(sumSquares / Math.max(1, audioData.length));
+        const clippedRatio = clippedSamples / Math.max(1, audioData.length);
+        const vad = this.detectVoiceActivity(audioData, sampleRate);
+        const voicedDuration = vad.activeFrames * vad.frameDuration;
+        
+        let status = 'ok';
+        let voicedFraction = null;
+        if (peak < this.silenceLevel) {
+            status = 'silent';
+        } else if (clippedRatio > this.maxClippedRatio) {
+            status = 'clipped';
+        } else if (!vad.hasVoice) {
+            // Nothing rises above the floor: either steady noise, or a take that
+            // is loud from start to end (which is fine if it is pitched)
+            const contour = this.extractPitchContour(audioData, sampleRate);
+            voicedFraction = contour.filter(frame => frame.f0 > 0).length / Math.max(1, contour.length);
+            status = voicedFraction < this.minVoicedFraction ? 'noise-only' : 'ok';
+        } else if (voicedDuration < this.minVoicedDuration) {
+            status = 'too-short';
+        }
+        
+        return { status, peak, rms, clippedRatio, voicedDuration, voicedFraction };
+    }
+    
+    /**
+     * Turn the two clip checks into a verdict for the whole round
+     * Returns null when both takes can be scored.
+     */
+    getVerdict(validation1, validation2) {
+        const checks = [
+            { validation: validation1, player: 1 },
+            { validation: validation2, player: 2 }
+        ];
+        
+        for (const { validation, player } of checks) {
+            if (validation.status === 'ok') continue;
+            
+            const who = player === 1 ? 'the original' : 'the attempt';
+            if (validation.status === 'clipped') {
+                return {
+                    verdict: 'clipped',
+                    verdictMessage: 'Recording clipped - ' + who + ' was too loud for the mic',
+                    retakePlayer: player
+                };
+            }
+            
+            const reasons = {
+                'silent': 'nothing was heard in ' + who,
+                'noise-only': who + ' is only background noise',
+                'too-short': who + ' is too short to compare'
+            };
+            return {
+                verdict: 'no-attempt',
+                verdictMessage: 'No attempt detected - ' + reasons[validation.status],
+                retakePlayer: player
+            };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Calculate correlation between two arrays
+     */
+    calculateCorrelation(arr1, arr2) {
+        const len = Math.min(arr1.length, arr2.length);
+        if (len === 0) return 0;
+        
+        let sum1 = 0, sum2 = 0, sum1Sq = 0, sum2Sq = 0, pSum = 0;
+        
+        for (let i = 0; i < len; i++) {
+            sum1 += arr1[i];
+            sum2 += arr2[i];
+            sum1Sq += arr1[i] * arr1[i];
+            sum2Sq += arr2[i] * arr2[i];
+            pSum += arr1[i] * arr2[i];
+        }
+        
+        const num = pSum - (sum1 * sum2 / len);
+        const den = Math.sqrt((sum1Sq - sum1 * sum1 / len) * (sum2Sq - sum2 * sum2 / len));
+        
+        if (den === 0) return 0;
+        return num / den;
+    }
+    
+    /**
+     * List available scoring profiles (presets and custom) as {id, name, description}
+     */
+    getScoringProfiles() {
+        return Object.keys(this.scoringProfiles).map(id => ({
+            id,
+            name: this.scoringProfiles[id].name,
+            description: this.scoringProfiles[id].description || ''
+        }));
+    }
+    
+    /**
+     * Get the active scoring profile (with its id)
+     */
+    getScoringProfile() {
+        return Object.assign({ id: this.scoringProfileId }, this.scoringProfiles[this.scoringProfileId]);
+    }
+    
+    /**
+     * Select the scoring profile used by compareAudio
+     */
+    setScoringProfile(id) {
+        if (!this.scoringProfiles[id]) {
+            throw new Error('Unknown scoring profile: ' + id);
+        }
+        this.scoringProfileId = id;
+    }
+    
+    /**
+     * Register a custom scoring profile
+     * weights: component key -> weight (normalized to sum to 1; missing keys count as 0)
+     * curve: [{raw, score, stage?}] breakpoints; (0, 0) and (1, 100) are added if missing
+     */
+    registerScoringProfile(id, profile) {
+        const defaults = ScoringProfiles.standard;
+        const weights = {};
+        let totalWeight = 0;
+        Object.keys(defaults.weights).forEach(key => {
+            const weight = Number((profile.weights || {})[key]) || 0;
+            if (weight < 0) {
+                throw new Error('Scoring weight for ' + key + ' must not be negative');
+            }
+            weights[key] = weight;
+            totalWeight += weight;
+        });
+        if (totalWeight <= 0) {
+            throw new Error('Scoring profile needs at least one positive weight');
+        }
+        Object.keys(weights).forEach(key => {
+            weights[key] /= totalWeight;
+        });
+        
+        const curve = (profile.curve || defaults.curve)
+            .map(point => ({ raw: Number(point.raw), score: Number(point.score), stage: point.stage }))
+            .sort((a, b) => a.raw - b.raw);
+        if (curve.length === 0 || curve[0].raw > 0) {
+            curve.unshift({ raw: 0, score: 0 });
+        }
+        if (curve[curve.length - 1].raw < 1) {
+            curve.push({ raw: 1, score: 100 });
+        }
+        curve.forEach((point, i) => {
+            if (point.raw < 0 || point.raw > 1 || point.score < 0 || point.score > 100) {
+                throw new Error('Curve breakpoints must map raw 0-1 to scores 0-100');
+            }
+            if (i > 0 && point.score < curve[i - 1].score) {
+                throw new Error('Score curve must not decrease');
+            }
+        });
+        
+        this.scoringProfiles[id] = {
+            name: profile.name || id,
+            description: profile.description || 'Custom profile',
+            weights,
+            curve
+        };
+        return this.scoringProfiles[id];
+    }
+    
+    /**
+     * Map a raw weighted score (0-1) through a piecewise-linear curve
+     */
+    applyScoreCurve(rawScore, curve) {
+        let segment = 0;
+        while (segment < curve.length - 2 && rawScore > curve[segment + 1].raw) {
+            segment++;
+        }
+        
+        const from = curve[segment];
+        const to = curve[segment + 1];
+        const span = to.raw - from.raw;
+        const t = span > 0 ? (rawScore - from.raw) / span : 1;
+        const adjustedScore = from.score + t * (to.score - from.score);
+        
+        return {
+            // Clamp to valid range (0-100)
+            adjustedScore: Math.max(0, Math.min(100, adjustedScore)),
+            curveStage: from.stage || 'stage ' + (segment + 1)
+        };
+    }
+    
+    /**
+     * Snapshot of the settings that affect scoring, so a worker-side
+     * AudioManager scores exactly like this one
+     */
+    getAnalysisSettings() {
+        return {
+            analysisSampleRate: this.analysisSampleRate,
+            pitchScoringMode: this.pitchScoringMode,
+            pitchToleranceCents: this.pitchToleranceCents,
+            onsetToleranceSeconds: this.onsetToleranceSeconds,
+            alignmentBandRatio: this.alignmentBandRatio,
+            trimSilenceEnabled: this.trimSilenceEnabled,
+            normalizeLoudnessEnabled: this.normalizeLoudnessEnabled,
+            analysisTargetLoudness: this.analysisTargetLoudness,
+            loudnessRangeTolerance: this.loudnessRangeTolerance,
+            scoringProfileId: this.scoringProfileId,
+            scoringProfile: this.scoringProfiles[this.scoringProfileId]
+        };
+    }
+    
+    /**
+     * Apply settings captured by getAnalysisSettings
+     */
+    applyAnalysisSettings(settings) {
+        this.analysisSampleRate = settings.analysisSampleRate;
+        this.pitchScoringMode = settings.pitchScoringMode;
+        this.pitchToleranceCents = settings.pitchToleranceCents;
+        this.onsetToleranceSeconds = settings.onsetToleranceSeconds;
+        this.alignmentBandRatio = settings.alignmentBandRatio;
+        this.trimSilenceEnabled = settings.trimSilenceEnabled;
+        this.normalizeLoudnessEnabled = settings.normalizeLoudnessEnabled;
+        this.analysisTargetLoudness = settings.analysisTargetLoudness;
+        this.loudnessRangeTolerance = settings.loudnessRangeTolerance;
+        this.scoringProfiles[settings.scoringProfileId] = settings.scoringProfile;
+        this.scoringProfileId = settings.scoringProfileId;
+    }
+    
+    /**
+     * Score two takes given as { channels: [Float32Array, ...], sampleRate }
+     * Both are downmixed and resampled to analysisSampleRate first.
+     */
+    analyzeTakes(take1, take2, onProgress = null) {
+        if (onProgress) onProgress('resampling', 0);
+        const data1 = this.normalizeTake(take1);
+        const data2 = this.normalizeTake(take2);
+        
+        return this.analyzeRecordings(data1, data2, this.analysisSampleRate, onProgress);
+    }
+    
+    /**
+     * Score an attempt against the original using the MFCC-based scoring system
+     * Works on raw Float32Arrays only (no Web Audio), so it can run in a worker.
+     * Both clips must already share sampleRate (see analyzeTakes).
+     * onProgress(stage, fraction) is called as each analysis stage starts.
+     */
+    analyzeRecordings(fullData1, fullData2, sampleRate, onProgress = null) {
+        const report = (stage, fraction) => {
+            if (onProgress) onProgress(stage, fraction);
+        };
+        
+        // Refuse to score silence, noise or clipping instead of inventing a score
+        report('validating', 0);
+        const validation = {
+            original: this.validateClip(fullData1, sampleRate),
+            attempt: this.validateClip(fullData2, sampleRate)
+        };
+        const rejection = this.getVerdict(validation.original, validation.attempt);
+        if (rejection) {
+            report('done', 1);
+            return Object.assign(this.createEmptyResult(), rejection, { validation });
+        }
+        
+        // Trim dead air before/after each take so a slow start isn't scored
+        report('trimming', 0.05);
+        const trim1 = this.getTrimPoints(fullData1, sampleRate);
+        const trim2 = this.getTrimPoints(fullData2, sampleRate);
+        const trimPoints = { original: trim1, attempt: trim2 };
+        
+        // Voiced region only
+        const data1 = fullData1.subarray(trim1.start, trim1.end);
+        const data2 = fullData2.subarray(trim2.start, trim2.end);
+        
+        // Component weights come from the active profile (see ScoringProfiles)
+        
+        // === 1. MFCC SIMILARITY (Timbre) ===
+        report('timbre', 0.1);
+        const mfccFeatures1 = this.extractMFCCFeatures(data1, sampleRate);
+        const mfccFeatures2 = this.extractMFCCFeatures(data2, sampleRate);
+        
+        // Align the two takes with DTW so late starts and dragged syllables
+        // don't shift every later frame out of place
+        report('alignment', 0.3);
+        const alignment = this.alignFeatures(mfccFeatures1, mfccFeatures2);
+        const alignmentInfo = {
+            path: alignment.path,
+            cost: alignment.cost,
+            normalizedCost: alignment.normalizedCost,
+            hopSize: 512,
+            sampleRate: sampleRate,
+            offsets: [trim1.start, trim2.start],
+            bandRatio: this.alignmentBandRatio
+        };
+        const path = alignment.path.length > 0 ? alignment.path : null;
+        
+        const mfccSimilarityRaw = this.calculateMFCCSimilarity(mfccFeatures1, mfccFeatures2, path);
+        // Normalize from [-1, 1] to [0, 1]
+        const mfccSimilarity = (mfccSimilarityRaw + 1) / 2;
+        
+        // === 2. PITCH CONTOUR MATCH ===
+        report('pitch', 0.45);
+        // Pitch frames share the MFCC frame grid (2048 window, 512 hop)
+        const pitchContour1 = this.extractPitchContour(data1, sampleRate);
+        const pitchContour2 = this.extractPitchContour(data2, sampleRate);
+        const { match: pitchMatch, transposition } = this.calculatePitchContourMatch(pitchContour1, pitchContour2, path);
+        // Kept for the results pitch view
+        const pitchTrack = this.describePitchTrack(
+            pitchContour1, pitchContour2, path, transposition, sampleRate, [trim1.start, trim2.start]
+        );
+        
+        // === 3. ENVELOPE MATCH (Shape/Dynamics) ===
+        report('envelope', 0.8);
+        // Level-match the clips first so distance from the mic doesn't
+        // dominate the envelope (the energy match below uses the unscaled measurements)
+        const loudness = {
+            original: this.measureLoudness(data1, sampleRate),
+            attempt: this.measureLoudness(data2, sampleRate),
+            normalized: this.normalizeLoudnessEnabled,
+            targetLufs: this.analysisTargetLoudness
+        };
+        const dynamics1 = this.normalizeLoudnessEnabled
+            ? this.scaleSamples(data1, this.getLoudnessGain(loudness.original, this.analysisTargetLoudness))
+            : data1;
+        const dynamics2 = this.normalizeLoudnessEnabled
+            ? this.scaleSamples(data2, this.getLoudnessGain(loudness.attempt, this.analysisTargetLoudness))
+            : data2;
+        const envelope1 = this.calculateRMSEnergyCurve(dynamics1);
+        const envelope2 = this.calculateRMSEnergyCurve(dynamics2);
+        const envelopePairs = path
+            ? this.resamplePath(path, 512 / 1024, envelope1.length, envelope2.length)
+            : this.getFramePairs(envelope1.length, envelope2.length);
+        const envelopeCorrelation = this.calculateCorrelation(
+            envelopePairs.map(([i]) => envelope1[i]),
+            envelopePairs.map(([, j]) => envelope2[j])
+        );
+        const envelopeMatch = (envelopeCorrelation + 1) / 2; // Map [-1,1] to [0,1]
+        
+        // === 4. SPECTRAL CENTROID MATCH (Brightness) ===
+        report('spectrum', 0.85);
+        const centroid1 = this.calculateSpectralCentroid(data1, sampleRate);
+        const centroid2 = this.calculateSpectralCentroid(data2, sampleRate);
+        const centroidDiff = Math.abs(centroid1 - centroid2);
+        const maxCentroid = Math.max(centroid1, centroid2, 1);
+        const spectralMatch = 1 - Math.min(1, centroidDiff / maxCentroid);
+        
+        // === 5. ENERGY MATCH (Loudness Profile) ===
+        // With normalization on both clips sit at the same integrated loudness,
+        // so the overall level would always match; compare their loudness
+        // ranges instead (a flat drone vs. loud-and-soft phrasing). Without
+        // normalization it is the plain RMS level ratio.
+        const energyMatch = this.normalizeLoudnessEnabled
+            ? 1 - Math.min(1, Math.abs(loudness.original.range - loudness.attempt.range) / this.loudnessRangeTolerance)
+            : Math.min(loudness.original.rms, loudness.attempt.rms) / Math.max(loudness.original.rms, loudness.attempt.rms, 0.001);
+        
+        // === 6. DURATION MATCH ===
+        const dur1 = trim1.duration;
+        const dur2 = trim2.duration;
+        const durationMatch = 1 - Math.abs(dur1 - dur2) / Math.max(dur1, dur2);
+        
+        // === 7. RHYTHM MATCH (Onset timing) ===
+        report('rhythm', 0.9);
+        const rhythm = this.calculateRhythmMatch(
+            data1,
+            data2,
+            sampleRate,
+            trim1.voiceStart - trim1.start,
+            trim2.voiceStart - trim2.start
+        );
+        const rhythmMatch = rhythm.value;
+        
+        // === WEIGHTED COMBINATION (active scoring profile) ===
+        report('scoring', 0.98);
+        const profile = this.getScoringProfile();
+        const weights = profile.weights;
+        const components = [
+            { key: 'mfccSimilarity', label: 'Timbre', icon: '🎵', value: mfccSimilarity, weight: weights.mfccSimilarity },
+            { key: 'pitchMatch', label: 'Pitch', icon: '🎹', value: pitchMatch, weight: weights.pitchMatch },
+            { key: 'envelopeMatch', label: 'Envelope', icon: '📊', value: envelopeMatch, weight: weights.envelopeMatch },
+            { key: 'spectralMatch', label: 'Brightness', icon: '✨', value: spectralMatch, weight: weights.spectralMatch },
+            {
+                key: 'energyMatch',
+                label: 'Loudness',
+                icon: '🔊',
+                value: energyMatch,
+                weight: weights.energyMatch,
+                detail: loudness.normalized
+                    ? 'range ' + loudness.original.range.toFixed(1) + ' vs ' + loudness.attempt.range.toFixed(1) + ' LU, level-matched before scoring'
+                    : loudness.original.lufs.toFixed(1) + ' vs ' + loudness.attempt.lufs.toFixed(1) + ' LUFS'
+            },
+            { key: 'durationMatch', label: 'Duration', icon: '⏱️', value: durationMatch, weight: weights.durationMatch },
+            {
+                key: 'rhythmMatch',
+                label: 'Rhythm',
+                icon: '🥁',
+                value: rhythmMatch,
+                weight: weights.rhythmMatch,
+                detail: rhythm.matched + '/' + rhythm.onsets1 + ' onsets hit, ' +
+                    Math.round(rhythm.precision * 100) + '% precision, ' +
+                    Math.round(rhythm.recall * 100) + '% recall, ±' +
+                    Math.round(rhythm.meanTimingError * 1000) + ' ms'
+            }
+        ];
+        const rawScore = components.reduce((sum, c) => sum + c.value * c.weight, 0);
+        
+        // Apply the profile's curve to spread scores across full range
+        // (good matches stay high, poor matches drop significantly)
+        const { adjustedScore, curveStage } = this.applyScoreCurve(rawScore, profile.curve);
+        
+        const roundedScore = Math.round(adjustedScore);
+        
+        const result = {
+            verdict: 'ok',
+            verdictMessage: null,
+            retakePlayer: null,
+            validation,
+            score: roundedScore,
+            adjustedScore,
+            rawScore,
+            curveStage,
+            components,
+            profile: { id: profile.id, name: profile.name },
+            rhythm,
+            pitchMode: this.pitchScoringMode,
+            transpositionCents: transposition,
+            alignmentCost: alignment.normalizedCost,
+            loudness,
+            trimPoints,
+            alignment: alignmentInfo,
+            pitchTrack
+        };
+        report('done', 1);
+        return result;
+    }
+    
+    /**
+     * Result skeleton for rounds that could not be scored (no points awarded)
+     */
+    createEmptyResult() {
+        return {
+            verdict: null,
+            verdictMessage: null,
+            retakePlayer: null,
+            score: null,
+            adjustedScore: null,
+            rawScore: null,
+            curveStage: null,
+            components: [],
+            profile: { id: this.scoringProfileId, name: this.scoringProfiles[this.scoringProfileId].name }
+        };
+    }
+    
+    /**
+     * Result handed out when analysis fails
+     * Neither take is at fault, so nobody is asked to retake.
+     */
+    createFailedResult(error) {
+        return Object.assign(this.createEmptyResult(), {
+            verdict: 'analysis-failed',
+            verdictMessage: 'Analysis failed - ' + error.message,
+            retakePlayer: null,
+            error: error.message
+        });
+    }
+}
+
+// Node (tests): export the module; in the browser this file just defines globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AudioDSP, ScoringProfiles };
+}
@@ -1,28 +1,135 @@
 /**
  * AudioManager.js
  * Handles all audio recording, playback, and reversal operations using Web Audio API
+ * (analysis/scoring DSP is inherited from AudioDSP.js)
  */
 
-class AudioManager {
+class AudioManager extends AudioDSP {
     constructor() {
+        super();
+        
         this.audioContext = null;
         this.mediaRecorder = null;
         this.audioChunks = [];
+        
+        // Raw PCM capture (see RecorderWorklet.js); MediaRecorder is the fallback
+        this.useWorkletRecorder = true;
+        this.pcmRecorderNode = null;
+        this.pcmRecorderModuleLoaded = false;
+        this.recordingStream = null;
+        this.recordingSession = null; // { cancelled } for the startRecording in flight
         this.isRecording = false;
         this.isPlaying = false;
         this.recordingTime = 0;
         this.recordingTimer = null;
         this.maxRecordingDuration = 10.0; // seconds
         
+        // Audio files accepted by importRecording (extension → MIME types)
+        this.importableAudioTypes = {
+            wav: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+            mp3: ['audio/mpeg', 'audio/mp3'],
+            ogg: ['audio/ogg', 'application/ogg'],
+            webm: ['audio/webm', 'video/webm']
+        };
+        
         // Store audio buffers
         this.player1OriginalBuffer = null;
         this.player1ReversedBuffer = null;
         this.player2AttemptBuffer = null;
         this.player2ReverseForwardBuffer = null;
         
+        // Playback controller (see playAudioBuffer): one buffer at a time with
+        // stop, pause/resume, seek and an optional A-B loop
+        this.playbackState = 'stopped';   // 'stopped' | 'playing' | 'paused'
+        this.playbackBuffer = null;
+        this.playbackSource = null;
+        this.playbackCallback = null;
+        this.playbackPosition = 0;        // Seconds, while paused/stopped
+        this.playbackOffset = 0;          // Seconds into the buffer the current source started at
+        this.playbackStartedAt = 0;       // audioContext time the current source started
+        this.playbackLoop = null;         // { start, end } in seconds
+        this.playbackRange = null;        // { start, end } in seconds: play this part once
+        
+        // A/B comparison of the original and the reverse-forward attempt on one
+        // timeline (see playComparison): both always run, muted or panned by mode
+        this.comparison = null;            // Playing session: { takes, startedAt, offset, limiter }
+        this.comparisonMode = 'original';  // 'original' | 'attempt' | 'both' (panned left/right)
+        this.comparisonPosition = 0;       // Timeline seconds while not playing
+        
+        // Slow listening (see getListenBuffer): pitch-preserving time-stretched
+        // copies of the reversed take, rendered once per speed
+        this.listenSpeeds = [1, 0.75, 0.5];
+        this.listenSpeed = 1;
+        this.slowListeningAllowed = true;  // House rule
+        this.slowestListenSpeed = 1;       // Slowest speed this turn's reversed take was played at
+        this.stretchedBuffers = new WeakMap();      // AudioBuffer -> Map(speed -> stretched AudioBuffer)
+        this.stretchedBufferSpeeds = new WeakMap(); // stretched AudioBuffer -> speed
+        this.phraseSegments = null;        // { buffer, segments } for the reversed take (see getPhraseSegments)
+        
+        // Playback level: aim every take at the same loudness, then limit peaks
+        this.playbackTargetLoudness = -16; // LUFS
+        this.maxPlaybackGain = 8;          // +18 dB at most, so room noise isn't blasted
+        this.playbackPeakCeiling = -1;     // dBFS the loudest sample may reach after gain
+        this.playbackLoudnessCache = new WeakMap();
+        
+        // Microphone choice and processing constraints (persisted in localStorage)
+        this.microphoneSettingsKey = 'reverseKaraoke.microphone';
+        this.microphoneSettings = this.loadMicrophoneSettings();
+        this.previewStream = null;
+        this.previewSource = null;
+        this.chosenDeviceMissing = false;
+        
+        // Virtual microphone: generated input instead of a real mic (testing/demos)
+        // Spec is 'sweep-up', 'sweep-down', 'silence' or 'fixture:<url>', optionally
+        // one per player ('sweep-up,sweep-down'). The URL flag overrides the saved setting.
+        this.virtualInputOverride = null;
+        this.virtualInputBuffers = {};
+        this.pendingVirtualInput = null;
+        
+        // Pre-roll countdown and voice-triggered start/stop
+        this.countdownEnabled = false;
+        this.countdownSeconds = 3;
+        this.voiceTriggerEnabled = false;
+        this.voiceTriggerPreRoll = 0.25;  // Seconds kept before detected voice
+        this.voiceTriggerPostRoll = 0.3;  // Seconds kept after the last voiced frame
+        this.voiceTriggerTimeout = 30;    // Seconds an armed take waits for voice before giving up
+        this.voiceTrigger = null;
+        this.recordingState = 'idle';     // 'idle' | 'countdown' | 'armed' | 'recording'
+        this.recordingStartTime = 0;      // audioContext time of the first captured sample
+        this.takeStartTime = 0;           // audioContext time the kept take starts (after voice trigger)
+        this.capturedClock = null;        // { frames, time }: PCM samples captured as of an audio clock time
+        
+        // Live input monitor (AnalyserNode tap on the mic while recording)
+        this.inputAnalyser = null;
+        this.inputSource = null;
+        this.inputMonitorFrame = null;
+        this.inputQuietLevel = 0.02;      // Peak below this (~-34 dBFS) is "too quiet"
+        this.inputQuietDelay = 1.5;       // ...once it has lasted this many seconds
+        this.inputClipHold = 1.0;         // Keep the clipping warning up this long
+        
         // Callbacks
         this.onRecordingUpdate = null;
         this.onPlaybackEnd = null;
+        this.onPlaybackStateChange = null; // (playbackState) => void
+        this.onComparisonChange = null;    // () => void: comparison started, stopped or switched
+        this.onInputLevel = null;         // (frame) => void, ~60 times a second while recording
+        this.onCountdown = null;          // (secondsLeft) => void, 0 means "go"
+        this.onRecordingStateChange = null; // (recordingState) => void
+        this.onDevicesChanged = null;     // (inputDevices, lostDeviceLabel) => void
+        
+        this.watchDeviceChanges();
+        
+        // Results of the last analysis (warping path, trimmed silence)
+        this.lastAlignment = null;
+        this.trimPoints = null;
+        
+        // Last structured score from compareAudio
+        this.lastResult = null;
+        
+        // Background analysis (see AnalysisWorker.js)
+        this.analysisWorker = null;
+        this.pendingAnalysis = null;
+        this.analysisRequestId = 0;
     }
     
     /**
@@ -39,15 +146,280 @@ class AudioManager {
         }
     }
     
+    /**
+     * Saved microphone settings merged over the defaults
+     * (default device, all browser voice processing off)
+     */
+    loadMicrophoneSettings() {
+        const defaults = {
+            deviceId: '',
+            deviceLabel: '',
+            echoCancellation: false,        // Off for better vocal quality
+            noiseSuppression: false,        // Off to preserve natural voice
+            autoGainControl: false,         // Off to preserve dynamics
+            virtualInput: ''                // Virtual microphone spec ('' = real mic)
+        };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.microphoneSettingsKey));
+            return Object.assign(defaults, saved);
+        } catch (error) {
+            return defaults;
+        }
+    }
+    
+    /**
+     * Update and persist microphone settings
+     */
+    saveMicrophoneSettings(changes) {
+        Object.assign(this.microphoneSettings, changes);
+        if ('deviceId' in changes) {
+            this.chosenDeviceMissing = false;
+        }
+        try {
+            localStorage.setItem(this.microphoneSettingsKey, JSON.stringify(this.microphoneSettings));
+        } catch (error) {
+            console.warn('⚠️ [AudioManager] Could not save microphone settings:', error);
+        }
+    }
+    
+    /**
+     * getUserMedia constraints for the saved microphone settings
+     */
+    getAudioConstraints(useSavedDevice = true) {
+        const settings = this.microphoneSettings;
+        const audio = {
+            echoCancellation: settings.echoCancellation,
+            noiseSuppression: settings.noiseSuppression,
+            autoGainControl: settings.autoGainControl,
+            sampleRate: 48000,              // Higher sample rate for better quality
+            channelCount: 1                 // Mono is fine for voice
+        };
+        if (useSavedDevice && settings.deviceId) {
+            audio.deviceId = { exact: settings.deviceId };
+        }
+        return { audio };
+    }
+    
+    /**
+     * Open the chosen microphone, falling back to the default input when
+     * the saved device isn't plugged in (the choice is kept for next time).
+     * With a virtual input configured, returns its generated stream instead.
+     */
+    async openMicrophone(player = 1, options = {}) {
+        const virtualSource = this.getVirtualInputSource(player);
+        if (virtualSource) {
+            return this.createVirtualMicrophone(virtualSource, options);
+        }
+        
+        try {
+            return await navigator.mediaDevices.getUserMedia(this.getAudioConstraints());
+        } catch (error) {
+            if (!this.microphoneSettings.deviceId ||
+                (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError')) {
+                throw error;
+            }
+            console.warn('⚠️ [AudioManager] Saved microphone unavailable, using the default input:', this.microphoneSettings.deviceLabel);
+            return navigator.mediaDevices.getUserMedia(this.getAudioConstraints(false));
+        }
+    }
+    
+    /**
+     * Virtual input source for a player ('' when using the real mic)
+     */
+    getVirtualInputSource(player) {
+        const spec = this.virtualInputOverride || this.microphoneSettings.virtualInput;
+        if (!spec) return '';
+        
+        const sources = spec.split(',').map(source => source.trim());
+        return sources[player - 1] || sources[0];
+    }
+    
+    /**
+     * Generated audio for a virtual source, at the context rate (cached)
+     * Sweeps are a sung-like phrase framed by silence so voice detection and
+     * trimming behave as with a real singer.
+     */
+    async getVirtualInputBuffer(source) {
+        if (this.virtualInputBuffers[source]) {
+            return this.virtualInputBuffers[source];
+        }
+        
+        const sampleRate = this.audioContext.sampleRate;
+        let samples;
+        if (source === 'sweep' || source === 'sweep-up' || source === 'sweep-down') {
+            const sweep = source === 'sweep-down'
+                ? this.synthesizeSweep(660, 220, 2.5, sampleRate)
+                : this.synthesizeSweep(220, 660, 2.5, sampleRate);
+            samples = new Float32Array(Math.round(4 * sampleRate));
+            samples.set(sweep, Math.round(0.5 * sampleRate));
+        } else if (source === 'silence') {
+            samples = new Float32Array(sampleRate);
+        } else if (source.startsWith('fixture:')) {
+            const url = source.slice('fixture:'.length);
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error('Virtual microphone fixture not found: ' + url);
+            }
+            const decoded = await this.audioContext.decodeAudioData(await response.arrayBuffer());
+            const fixture = this.resample(
+                this.downmixToMono(this.getTake(decoded).channels),
+                decoded.sampleRate,
+                sampleRate
+            );
+            samples = new Float32Array(fixture.length + sampleRate); // Trailing second of silence
+            samples.set(fixture);
+        } else {
+            throw new Error('Unknown virtual microphone source: ' + source);
+        }
+        
+        const buffer = this.audioContext.createBuffer(1, samples.length, sampleRate);
+        buffer.copyToChannel(samples, 0);
+        this.virtualInputBuffers[source] = buffer;
+        return buffer;
+    }
+    
+    /**
+     * MediaStream fed by a virtual source, usable anywhere a mic stream is
+     * By default the audio waits for startVirtualInput (called when the
+     * recorder captures its first sample) so every take is identical;
+     * options.loop plays it on repeat right away (for the preview).
+     */
+    async createVirtualMicrophone(source, options = {}) {
+        await this.initAudioContext();
+        const buffer = await this.getVirtualInputBuffer(source);
+        const destination = this.audioContext.createMediaStreamDestination();
+        destination.channelCount = 1;
+        
+        const generator = this.audioContext.createBufferSource();
+        generator.buffer = buffer;
+        generator.loop = Boolean(options.loop);
+        generator.connect(destination);
+        
+        let started = false;
+        const start = () => {
+            if (started) return;
+            started = true;
+            generator.start();
+        };
+        if (options.loop) {
+            start();
+        } else {
+            this.pendingVirtualInput = start;
+        }
+        
+        // Stopping the track (as every take does) also stops the generator
+        const track = destination.stream.getAudioTracks()[0];
+        const stopTrack = track.stop.bind(track);
+        track.stop = () => {
+            if (started) generator.stop();
+            generator.disconnect();
+            if (this.pendingVirtualInput === start) this.pendingVirtualInput = null;
+            stopTrack();
+        };
+        
+        console.log('🤖 [AudioManager] Virtual microphone:', source);
+        return destination.stream;
+    }
+    
+    /**
+     * Start a virtual input that is waiting for the take to begin
+     */
+    startVirtualInput() {
+        if (this.pendingVirtualInput) {
+            this.pendingVirtualInput();
+            this.pendingVirtualInput = null;
+        }
+    }
+    
+    /**
+     * Audio inputs currently available (labels are empty until mic permission is granted)
+     */
+    async listInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'audioinput');
+    }
+    
+    /**
+     * Listen for inputs being plugged in or unplugged
+     */
+    watchDeviceChanges() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.addEventListener) {
+            return;
+        }
+        navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+    }
+    
+    /**
+     * Re-list inputs; if the chosen mic disappeared, stop the preview and tell the UI.
+     * A take in progress is stopped by its track's ended handler (see startRecording).
+     */
+    async handleDeviceChange() {
+        try {
+            const devices = await this.listInputDevices();
+            const chosen = this.microphoneSettings.deviceId;
+            const missing = Boolean(chosen) && !devices.some(device => device.deviceId === chosen);
+            const lost = missing && !this.chosenDeviceMissing; // Only report the unplug once
+            this.chosenDeviceMissing = missing;
+            console.log('🎙️ [AudioManager] Input devices changed:', devices.length, 'available');
+            
+            if (lost) {
+                console.warn('⚠️ [AudioManager] Chosen microphone disconnected:', this.microphoneSettings.deviceLabel);
+                this.stopMicrophonePreview();
+            }
+            if (this.onDevicesChanged) {
+                this.onDevicesChanged(devices, lost ? (this.microphoneSettings.deviceLabel || 'Your microphone') : null);
+            }
+        } catch (error) {
+            console.error('❌ [AudioManager] Error handling device change:', error);
+        }
+    }
+    
+    /**
+     * Loopback preview: route the mic to the speakers (and the level meter)
+     * with the saved settings. Use headphones to avoid feedback.
+     */
+    async startMicrophonePreview() {
+        await this.initAudioContext();
+        this.stopMicrophonePreview();
+        
+        this.previewStream = await this.openMicrophone(1, { loop: true });
+        this.previewSource = this.audioContext.createMediaStreamSource(this.previewStream);
+        this.previewSource.connect(this.audioContext.destination);
+        this.startInputMonitor(this.previewStream);
+        console.log('🎧 [AudioManager] Microphone preview started');
+    }
+    
+    /**
+     * Stop the loopback preview and release the mic
+     */
+    stopMicrophonePreview() {
+        if (!this.previewStream) return;
+        
+        this.stopInputMonitor();
+        this.previewSource.disconnect();
+        this.previewStream.getTracks().forEach(track => track.stop());
+        this.previewSource = null;
+        this.previewStream = null;
+        console.log('🎧 [AudioManager] Microphone preview stopped');
+    }
+    
     /**
      * Request microphone permission and start recording
+     * onComplete(audioBuffer) gets the kept take, or (null, message) when
+     * there is none; message is a reason for the player, if there is one.
      */
     async startRecording(player, onComplete) {
         console.log('🎤 [AudioManager] Starting recording for Player', player);
+        // cancelRecording() and reset() flag this; every await below checks it
+        const session = { cancelled: false };
+        this.recordingSession = session;
         try {
             console.log('🎤 [AudioManager] Checking for mediaDevices support...');
             
-            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            if (!this.getVirtualInputSource(player) && (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia)) {
                 console.error('❌ [AudioManager] getUserMedia not supported in this browser');
                 alert('Your browser does not support audio recording. Please use Chrome, Firefox, or Safari.');
                 if (onComplete) onComplete(null);
@@ -58,75 +430,340 @@ class AudioManager {
             await this.initAudioContext();
             console.log('✅ [AudioManager] AudioContext initialized');
             
-            console.log('🎤 [AudioManager] Requesting microphone access with high-quality settings...');
-            const stream = await navigator.mediaDevices.getUserMedia({ 
-                audio: {
-                    echoCancellation: false,        // Disable for better vocal quality
-                    noiseSuppression: false,        // Disable to preserve natural voice
-                    autoGainControl: false,         // Disable to preserve dynamics
-                    sampleRate: 48000,              // Higher sample rate for better quality
-                    channelCount: 1                 // Mono is fine for voice
-                } 
+            this.stopMicrophonePreview();
+            console.log('🎤 [AudioManager] Requesting microphone access with saved settings...', this.microphoneSettings);
+            const stream = await this.openMicrophone(player);
+            if (session.cancelled) {
+                stream.getTracks().forEach(track => track.stop());
+                console.log('🚫 [AudioManager] Recording cancelled while opening the microphone');
+                return;
+            }
+            this.recordingStream = stream;
+            console.log('✅ [AudioManager] Microphone access granted!', stream);
+            this.startInputMonitor(stream);
+            
+            // Mic unplugged mid-take: keep what was captured so far
+            stream.getAudioTracks().forEach(track => {
+                track.onended = () => {
+                    console.warn('⚠️ [AudioManager] Input device disconnected during recording:', track.label);
+                    this.stopRecording();
+                };
             });
-            console.log('✅ [AudioManager] Microphone access granted with high-quality settings!', stream);
             
-            // Create media recorder with high bitrate
-            console.log('🎤 [AudioManager] Creating MediaRecorder with high bitrate...');
-            let options = { 
-                mimeType: 'audio/webm;codecs=opus',
-                audioBitsPerSecond: 128000  // 128kbps for high quality
+            // Called with the captured take by whichever recorder is in use (null if it failed to decode)
+            const finishRecording = (audioBuffer) => {
+                this.stopInputMonitor();
+                this.stopRecordingStream();
+                this.stopRecordingClock();
+                
+                // Keep the take window: at most maxRecordingDuration from the take start
+                // (exact already for PCM; trims the MediaRecorder fallback), and for
+                // voice-triggered takes only the voiced span plus a little air
+                const trigger = this.voiceTrigger;
+                this.voiceTrigger = null;
+                let keepStart = this.takeStartTime - this.recordingStartTime;
+                let keepEnd = keepStart + this.maxRecordingDuration;
+                let failure = null;
+                if (trigger && trigger.voiceStart !== null) {
+                    keepEnd = Math.min(keepEnd, trigger.voiceEnd - this.recordingStartTime + this.voiceTriggerPostRoll);
+                } else if (trigger) {
+                    // Timed out (or lost the input) while armed: there is no take
+                    console.warn('⚠️ [AudioManager] Stopped before any voice was heard, discarding');
+                    audioBuffer = null;
+                    failure = 'No singing was heard, so nothing was recorded. Please try again.';
+                }
+                if (audioBuffer && (keepStart > 0 || keepEnd < audioBuffer.duration)) {
+                    audioBuffer = this.sliceAudioBuffer(audioBuffer, keepStart, keepEnd);
+                    console.log('✂️ [AudioManager] Kept take window:', audioBuffer.duration.toFixed(2), 'seconds');
+                }
+                
+                if (audioBuffer) {
+                    this.storeRecording(player, audioBuffer);
+                }
+                
+                this.isRecording = false;
+                this.recordingTime = 0;
+                this.setRecordingState('idle');
+                
+                if (onComplete) {
+                    onComplete(audioBuffer, failure);
+                }
             };
             
-            // Check if webm with opus is supported, fallback to other formats
-            if (!MediaRecorder.isTypeSupported('audio/webm;codecs=opus')) {
-                console.warn('⚠️ [AudioManager] audio/webm;codecs=opus not supported, trying alternatives...');
-                if (MediaRecorder.isTypeSupported('audio/webm')) {
-                    options = { 
-                        mimeType: 'audio/webm',
-                        audioBitsPerSecond: 128000
-                    };
-                    console.log('✅ [AudioManager] Using audio/webm with 128kbps');
-                } else if (MediaRecorder.isTypeSupported('audio/mp4')) {
-                    options = { 
-                        mimeType: 'audio/mp4',
-                        audioBitsPerSecond: 128000
-                    };
-                    console.log('✅ [AudioManager] Using audio/mp4 with 128kbps');
-                } else if (MediaRecorder.isTypeSupported('audio/ogg')) {
-                    options = { 
-                        mimeType: 'audio/ogg',
-                        audioBitsPerSecond: 128000
-                    };
-                    console.log('✅ [AudioManager] Using audio/ogg with 128kbps');
-                } else {
-                    options = { audioBitsPerSecond: 128000 };
-                    console.log('✅ [AudioManager] Using default format with 128kbps');
+            // Raw PCM straight from the mic via AudioWorklet; MediaRecorder as a fallback
+            const pcmRecorderNode = this.useWorkletRecorder
+                ? await this.createPCMRecorder(stream, finishRecording)
+                : null;
+            if (session.cancelled) {
+                if (pcmRecorderNode) pcmRecorderNode.disconnect();
+                stream.getTracks().forEach(track => track.stop());
+                console.log('🚫 [AudioManager] Recording cancelled while preparing the recorder');
+                return;
+            }
+            this.pcmRecorderNode = pcmRecorderNode;
+            if (!this.pcmRecorderNode) {
+                this.createMediaRecorder(stream, finishRecording);
+            }
+            
+            if (this.countdownEnabled) {
+                await this.runCountdown(session);
+                // The recorder and mic were already released by whoever cancelled
+                if (session.cancelled) {
+                    console.log('🚫 [AudioManager] Recording cancelled during the countdown');
+                    return;
                 }
+            }
+            
+            // Start recording; the take begins when the recorder reports its first sample
+            this.isRecording = true;
+            this.recordingTime = 0;
+            this.capturedClock = null;
+            if (this.pcmRecorderNode) {
+                console.log('▶️ [AudioManager] Starting PCM recorder...');
+                // Armed takes get their real limit once voice is heard (see handleVoiceTrigger);
+                // until then the cap leaves room for voice arriving at the last moment of the wait
+                this.pcmRecorderNode.port.postMessage({
+                    command: 'start',
+                    maxFrames: this.getMaxRecordingFrames(this.voiceTriggerEnabled ? this.voiceTriggerTimeout : 0)
+                });
             } else {
-                console.log('✅ [AudioManager] Using audio/webm with Opus codec at 128kbps');
+                console.log('▶️ [AudioManager] Starting MediaRecorder...');
+                this.mediaRecorder.onstart = () => this.handleRecorderStarted(this.audioContext.currentTime);
+                this.mediaRecorder.start();
             }
             
-            this.mediaRecorder = new MediaRecorder(stream, options);
-            this.audioChunks = [];
-            console.log('✅ [AudioManager] MediaRecorder created');
+        } catch (error) {
+            if (session.cancelled) {
+                console.log('🚫 [AudioManager] Recording cancelled while starting:', error);
+                return;
+            }
+            this.stopInputMonitor();
+            this.stopRecordingStream();
+            this.setRecordingState('idle');
+            console.error('❌ [AudioManager] Error starting recording:', error);
+            console.error('❌ [AudioManager] Error name:', error.name);
+            console.error('❌ [AudioManager] Error message:', error.message);
             
-            this.mediaRecorder.ondataavailable = (event) => {
-                console.log('📦 [AudioManager] Data available:', event.data.size, 'bytes');
-                if (event.data.size > 0) {
-                    this.audioChunks.push(event.data);
+            let errorMessage = 'Failed to access microphone. ';
+            if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
+                errorMessage += 'Please allow microphone access in your browser settings.';
+            } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
+                errorMessage += 'No microphone found. Please connect a microphone.';
+            } else if (error.name === 'NotReadableError' || error.name === 'TrackStartError') {
+                errorMessage += 'Microphone is being used by another application.';
+            } else if (error.name === 'NotSupportedError') {
+                errorMessage += 'Your browser does not support audio recording. Try Chrome or Firefox.';
+            } else {
+                errorMessage += error.message;
+            }
+            
+            alert(errorMessage);
+            if (onComplete) {
+                onComplete(null);
+            }
+        }
+    }
+    
+    /**
+     * Connect the mic to the pcm-recorder worklet (RecorderWorklet.js)
+     * Returns the AudioWorkletNode, or null if AudioWorklet is unavailable.
+     * onRecorded(audioBuffer) is called with the exact captured samples after stop.
+     */
+    async createPCMRecorder(stream, onRecorded) {
+        if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+            console.warn('⚠️ [AudioManager] AudioWorklet not supported, falling back to MediaRecorder');
+            return null;
+        }
+        try {
+            if (!this.pcmRecorderModuleLoaded) {
+                await this.audioContext.audioWorklet.addModule('RecorderWorklet.js');
+                this.pcmRecorderModuleLoaded = true;
+            }
+        } catch (error) {
+            console.warn('⚠️ [AudioManager] Could not load RecorderWorklet.js, falling back to MediaRecorder:', error);
+            return null;
+        }
+        
+        const source = this.audioContext.createMediaStreamSource(stream);
+        const node = new AudioWorkletNode(this.audioContext, 'pcm-recorder', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            channelCount: 1,
+            channelCountMode: 'explicit'
+        });
+        const chunks = [];
+        
+        node.port.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'chunk') {
+                chunks.push(message.samples);
+                this.capturedClock = { frames: message.frames, time: this.audioContext.currentTime };
+                if (this.voiceTrigger && this.pcmRecorderNode === node) {
+                    this.feedVoiceTrigger(message.samples, message.frames);
                 }
-            };
+            } else if (message.type === 'started') {
+                this.handleRecorderStarted(message.time);
+            } else if (message.type === 'stopped') {
+                console.log('🛑 [AudioManager] PCM recording stopped (' + message.reason + '):', message.frames, 'frames');
+                this.stopRecordingClock();
+                source.disconnect();
+                node.disconnect();
+                node.port.onmessage = null;
+                if (this.pcmRecorderNode === node) {
+                    this.pcmRecorderNode = null;
+                }
+                onRecorded(this.createBufferFromPCM(chunks));
+            }
+        };
+        
+        // The node only outputs silence, but must reach the destination to be processed
+        source.connect(node);
+        node.connect(this.audioContext.destination);
+        console.log('✅ [AudioManager] PCM recorder created at', this.audioContext.sampleRate, 'Hz');
+        return node;
+    }
+    
+    /**
+     * Join captured Float32 chunks into a mono AudioBuffer at the context rate
+     */
+    createBufferFromPCM(chunks) {
+        const length = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const audioBuffer = this.audioContext.createBuffer(1, Math.max(1, length), this.audioContext.sampleRate);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            audioBuffer.copyToChannel(chunk, 0, offset);
+            offset += chunk.length;
+        });
+        console.log('✅ [AudioManager] PCM take assembled:', audioBuffer.duration.toFixed(2), 'seconds');
+        return audioBuffer;
+    }
+    
+    /**
+     * Keep a finished take as the player's recording
+     */
+    storeRecording(player, audioBuffer) {
+        if (player === 1) {
+            this.player1OriginalBuffer = audioBuffer;
+        } else {
+            this.player2AttemptBuffer = audioBuffer;
+        }
+    }
+    
+    /**
+     * accept="" value for a file input limited to importable audio
+     */
+    getImportAccept() {
+        return Object.keys(this.importableAudioTypes).map(extension => '.' + extension)
+            .concat(...Object.values(this.importableAudioTypes))
+            .join(',');
+    }
+    
+    /**
+     * True if a File looks like WAV, MP3, OGG or WebM (by extension or MIME type)
+     */
+    isImportableAudioFile(file) {
+        const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+        return extension in this.importableAudioTypes ||
+            Object.values(this.importableAudioTypes).some(types => types.includes(file.type));
+    }
+    
+    /**
+     * Use an audio file as a player's take instead of a live recording
+     * Decoded through the AudioContext and held to maxRecordingDuration like a
+     * live take (longer clips are cut at the limit), so reversal and scoring
+     * run unchanged. Resolves to { audioBuffer, trimmed, originalDuration }.
+     */
+    async importRecording(player, file) {
+        if (!this.isImportableAudioFile(file)) {
+            throw new Error('"' + file.name + '" is not a WAV, MP3, OGG or WebM file.');
+        }
+        
+        await this.initAudioContext();
+        console.log('📁 [AudioManager] Importing', file.name, '(' + file.size + ' bytes, ' + (file.type || 'unknown type') + ') for Player', player);
+        const arrayBuffer = await file.arrayBuffer();
+        
+        let audioBuffer;
+        try {
+            audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        } catch (error) {
+            console.error('❌ [AudioManager] Could not decode', file.name, error);
+            throw new Error('Could not decode "' + file.name + '". This browser may not support that format.');
+        }
+        if (audioBuffer.length === 0) {
+            throw new Error('"' + file.name + '" contains no audio.');
+        }
+        
+        const originalDuration = audioBuffer.duration;
+        const trimmed = originalDuration > this.maxRecordingDuration;
+        if (trimmed) {
+            audioBuffer = this.sliceAudioBuffer(audioBuffer, 0, this.maxRecordingDuration);
+            console.warn('⚠️ [AudioManager] Imported clip cut from', originalDuration.toFixed(2), 'to', this.maxRecordingDuration, 'seconds');
+        }
+        console.log('✅ [AudioManager] Imported', audioBuffer.duration.toFixed(2), 'seconds,', audioBuffer.numberOfChannels, 'ch @', audioBuffer.sampleRate, 'Hz');
+        
+        this.storeRecording(player, audioBuffer);
+        return { audioBuffer, trimmed, originalDuration };
+    }
+    
+    /**
+     * Compressed-codec recorder used when AudioWorklet isn't available
+     * onRecorded(audioBuffer) is called with the decoded take after stop(), or null if decoding failed
+     */
+    createMediaRecorder(stream, onRecorded) {
+        // Create media recorder with high bitrate
+        console.log('🎤 [AudioManager] Creating MediaRecorder with high bitrate...');
+        let options = { 
+            mimeType: 'audio/webm;codecs=opus',
+            audioBitsPerSecond: 128000  // 128kbps for high quality
+        };
+        
+        // Check if webm with opus is supported, fallback to other formats
+        if (!MediaRecorder.isTypeSupported('audio/webm;codecs=opus')) {
+            console.warn('⚠️ [AudioManager] audio/webm;codecs=opus not supported, trying alternatives...');
+            if (MediaRecorder.isTypeSupported('audio/webm')) {
+                options = { 
+                    mimeType: 'audio/webm',
+                    audioBitsPerSecond: 128000
+                };
+                console.log('✅ [AudioManager] Using audio/webm with 128kbps');
+            } else if (MediaRecorder.isTypeSupported('audio/mp4')) {
+                options = { 
+                    mimeType: 'audio/mp4',
+                    audioBitsPerSecond: 128000
+                };
+                console.log('✅ [AudioManager] Using audio/mp4 with 128kbps');
+            } else if (MediaRecorder.isTypeSupported('audio/ogg')) {
+                options = { 
+                    mimeType: 'audio/ogg',
+                    audioBitsPerSecond: 128000
+                };
+                console.log('✅ [AudioManager] Using audio/ogg with 128kbps');
+            } else {
+                options = { audioBitsPerSecond: 128000 };
+                console.log('✅ [AudioManager] Using default format with 128kbps');
+            }
+        } else {
+            console.log('✅ [AudioManager] Using audio/webm with Opus codec at 128kbps');
+        }
+        
+        this.mediaRecorder = new MediaRecorder(stream, options);
+        this.audioChunks = [];
+        console.log('✅ [AudioManager] MediaRecorder created');
+        
+        this.mediaRecorder.ondataavailable = (event) => {
+            console.log('📦 [AudioManager] Data available:', event.data.size, 'bytes');
+            if (event.data.size > 0) {
+                this.audioChunks.push(event.data);
+            }
+        };
+        
+        this.mediaRecorder.onstop = async () => {
+            console.log('🛑 [AudioManager] Recording stopped');
+            console.log('📦 [AudioManager] Total chunks:', this.audioChunks.length);
             
-            this.mediaRecorder.onstop = async () => {
-                console.log('🛑 [AudioManager] Recording stopped');
-                console.log('📦 [AudioManager] Total chunks:', this.audioChunks.length);
-                
-                // Stop all tracks
-                stream.getTracks().forEach(track => {
-                    console.log('🛑 [AudioManager] Stopping track:', track.label);
-                    track.stop();
-                });
-                
+            let audioBuffer = null;
+            try {
                 // Create blob from chunks
                 const audioBlob = new Blob(this.audioChunks, { type: options.mimeType || 'audio/webm' });
                 console.log('📦 [AudioManager] Created blob:', audioBlob.size, 'bytes, type:', audioBlob.type);
@@ -136,143 +773,868 @@ class AudioManager {
                 const arrayBuffer = await audioBlob.arrayBuffer();
                 console.log('✅ [AudioManager] ArrayBuffer created:', arrayBuffer.byteLength, 'bytes');
                 
-                const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+                audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
                 console.log('✅ [AudioManager] Audio decoded:', audioBuffer.duration.toFixed(2), 'seconds');
-                
-                // Store based on player
-                if (player === 1) {
-                    this.player1OriginalBuffer = audioBuffer;
-                } else {
-                    this.player2AttemptBuffer = audioBuffer;
-                }
-                
-                this.isRecording = false;
-                this.recordingTime = 0;
-                
-                if (onComplete) {
-                    onComplete(audioBuffer);
-                }
-            };
+            } catch (error) {
+                console.error('❌ [AudioManager] Error decoding recording:', error);
+            }
             
-            // Start recording
-            console.log('▶️ [AudioManager] Starting MediaRecorder...');
-            this.mediaRecorder.start();
-            this.isRecording = true;
+            onRecorded(audioBuffer);
+        };
+    }
+    
+    /**
+     * The recorder captured its first sample at audio-clock time startTime:
+     * this is the "recording started" event (onRecordingStateChange fires
+     * with 'recording', or 'armed' for voice-triggered takes)
+     */
+    handleRecorderStarted(startTime) {
+        this.startVirtualInput();
+        this.recordingStartTime = startTime;
+        this.takeStartTime = startTime;
+        this.recordingTime = 0;
+        
+        if (this.voiceTriggerEnabled) {
+            // Capture from now, but the take only starts once voice is heard
+            this.voiceTrigger = this.createVoiceTriggerState();
+            this.setRecordingState('armed');
+            console.log('✅ [AudioManager] Recorder armed at ' + startTime.toFixed(3) + 's, waiting for voice...');
+        } else {
+            this.setRecordingState('recording');
+            console.log('✅ [AudioManager] Recording started at ' + startTime.toFixed(3) + 's on the audio clock');
+        }
+        this.startRecordingClock();
+    }
+    
+    /**
+     * Frame count at which the PCM recorder must stop so the take is exactly
+     * maxRecordingDuration long, given the take starts takeOffset seconds in
+     */
+    getMaxRecordingFrames(takeOffset) {
+        return Math.round((takeOffset + this.maxRecordingDuration) * this.audioContext.sampleRate);
+    }
+    
+    /**
+     * Seconds recorded in the current take
+     * Anchored to the PCM samples actually captured when available; the audio
+     * clock fills in since the last chunk (and drives the MediaRecorder fallback).
+     * Unlike setInterval, neither drifts or slows down in a background tab.
+     */
+    getRecordingElapsed() {
+        if (this.recordingState !== 'recording') return 0;
+        
+        const now = this.audioContext.currentTime;
+        let elapsed = now - this.takeStartTime;
+        if (this.capturedClock) {
+            const captured = this.capturedClock.frames / this.audioContext.sampleRate + (now - this.capturedClock.time);
+            elapsed = captured - (this.takeStartTime - this.recordingStartTime);
+        }
+        return Math.max(0, Math.min(this.maxRecordingDuration, elapsed));
+    }
+    
+    /**
+     * Publish the recording time to onRecordingUpdate; the timer only refreshes
+     * the display, the time itself comes from getRecordingElapsed
+     */
+    startRecordingClock() {
+        this.stopRecordingClock();
+        this.recordingTimer = setInterval(() => {
+            this.recordingTime = this.getRecordingElapsed();
+            if (this.onRecordingUpdate) {
+                this.onRecordingUpdate(this.recordingTime);
+            }
+            
+            // The PCM recorder stops itself on the exact sample; the fallback
+            // stops here and is trimmed to the limit afterwards
+            if (!this.pcmRecorderNode && this.recordingTime >= this.maxRecordingDuration) {
+                this.stopRecording();
+                return;
+            }
+            
+            // PCM takes feed the voice trigger from their chunks; the fallback polls here
+            if (this.voiceTrigger && !this.pcmRecorderNode) {
+                this.pollVoiceTrigger();
+            }
+            if (this.recordingState === 'armed' &&
+                this.audioContext.currentTime - this.recordingStartTime >= this.voiceTriggerTimeout) {
+                console.warn('⏱️ [AudioManager] No voice within ' + this.voiceTriggerTimeout + 's, giving up');
+                this.stopRecording();
+            }
+        }, 100);
+    }
+    
+    /**
+     * Stop publishing the recording time
+     */
+    stopRecordingClock() {
+        if (this.recordingTimer) {
+            clearInterval(this.recordingTimer);
+            this.recordingTimer = null;
+        }
+    }
+    
+    /**
+     * Update recordingState and notify the UI
+     */
+    setRecordingState(state) {
+        this.recordingState = state;
+        if (this.onRecordingStateChange) {
+            this.onRecordingStateChange(state);
+        }
+    }
+    
+    /**
+     * Count down with a beep per second, then a higher "go" beep
+     * Resolves once the go beep has finished so it isn't captured, or early
+     * (without beeping again) once the recording session is cancelled.
+     */
+    async runCountdown(session) {
+        const wait = seconds => new Promise(resolve => setTimeout(resolve, seconds * 1000));
+        this.setRecordingState('countdown');
+        
+        for (let remaining = this.countdownSeconds; remaining > 0; remaining--) {
+            if (session.cancelled) return;
+            if (this.onCountdown) this.onCountdown(remaining);
+            this.playBeep(880, 0.12);
+            await wait(1);
+        }
+        
+        if (session.cancelled) return;
+        if (this.onCountdown) this.onCountdown(0);
+        this.playBeep(1320, 0.25);
+        await wait(0.35);
+    }
+    
+    /**
+     * Short sine beep rendered through the AudioContext
+     */
+    playBeep(frequency, duration) {
+        const now = this.audioContext.currentTime;
+        const oscillator = this.audioContext.createOscillator();
+        const envelope = this.audioContext.createGain();
+        
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        envelope.gain.setValueAtTime(0, now);
+        envelope.gain.linearRampToValueAtTime(0.3, now + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.001, now + duration);
+        
+        oscillator.connect(envelope);
+        envelope.connect(this.audioContext.destination);
+        oscillator.start(now);
+        oscillator.stop(now + duration);
+    }
+    
+    /**
+     * Run the voice trigger over a captured PCM chunk in short blocks, timed
+     * on the audio clock by their sample position (chunks keep arriving when
+     * a background tab pauses requestAnimationFrame).
+     * frames is the capture total including this chunk.
+     */
+    feedVoiceTrigger(samples, frames) {
+        const blockSize = 1024;
+        const firstFrame = frames - samples.length;
+        for (let offset = 0; offset < samples.length && this.voiceTrigger; offset += blockSize) {
+            const block = samples.subarray(offset, offset + blockSize);
+            const time = this.recordingStartTime + (firstFrame + offset + block.length) / this.audioContext.sampleRate;
+            this.handleVoiceTrigger(this.measureLevel(block), time);
+        }
+    }
+    
+    /**
+     * MediaRecorder fallback: read the input analyser for the voice trigger
+     * (called from the recording clock, not requestAnimationFrame)
+     */
+    pollVoiceTrigger() {
+        if (!this.inputAnalyser) return;
+        const block = new Float32Array(this.inputAnalyser.fftSize);
+        this.inputAnalyser.getFloatTimeDomainData(block);
+        this.handleVoiceTrigger(this.measureLevel(block), this.audioContext.currentTime);
+    }
+    
+    /**
+     * Start the take on detected voice and stop after trailing silence
+     */
+    handleVoiceTrigger(level, now) {
+        const event = this.updateVoiceTrigger(this.voiceTrigger, level.rmsDb, now);
+        if (event === 'start') {
+            console.log('🗣️ [AudioManager] Voice detected, recording');
+            // The take (and its duration limit) starts a pre-roll before the voice
+            this.takeStartTime = Math.max(this.recordingStartTime, this.voiceTrigger.voiceStart - this.voiceTriggerPreRoll);
+            if (this.pcmRecorderNode) {
+                this.pcmRecorderNode.port.postMessage({
+                    command: 'limit',
+                    maxFrames: this.getMaxRecordingFrames(this.takeStartTime - this.recordingStartTime)
+                });
+            }
             this.recordingTime = 0;
-            console.log('✅ [AudioManager] Recording started successfully!');
+            this.setRecordingState('recording');
+        } else if (event === 'stop') {
+            console.log('🤫 [AudioManager] Trailing silence, stopping');
+            this.stopRecording();
+        }
+    }
+    
+    /**
+     * Copy the [startTime, endTime) seconds of an AudioBuffer into a new buffer
+     */
+    sliceAudioBuffer(audioBuffer, startTime, endTime) {
+        const start = Math.max(0, Math.floor(startTime * audioBuffer.sampleRate));
+        const end = Math.min(audioBuffer.length, Math.ceil(endTime * audioBuffer.sampleRate));
+        if (end <= start) return audioBuffer;
+        
+        const slice = this.audioContext.createBuffer(audioBuffer.numberOfChannels, end - start, audioBuffer.sampleRate);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            slice.copyToChannel(audioBuffer.getChannelData(channel).subarray(start, end), channel);
+        }
+        return slice;
+    }
+    
+    /**
+     * Tap the microphone stream with an AnalyserNode and publish a level
+     * frame to onInputLevel on every animation frame:
+     * { time, rms, peak, min, max, rmsDb, peakDb, clipping, tooQuiet, waveform }
+     * The tap is not connected to the speakers.
+     */
+    startInputMonitor(stream) {
+        this.stopInputMonitor();
+        
+        this.inputSource = this.audioContext.createMediaStreamSource(stream);
+        this.inputAnalyser = this.audioContext.createAnalyser();
+        this.inputAnalyser.fftSize = 2048;
+        this.inputSource.connect(this.inputAnalyser);
+        
+        const waveform = new Float32Array(this.inputAnalyser.fftSize);
+        const startTime = this.audioContext.currentTime;
+        let lastLoudTime = startTime;
+        let lastClipTime = -Infinity;
+        
+        const tick = () => {
+            if (!this.inputAnalyser) return;
+            this.inputAnalyser.getFloatTimeDomainData(waveform);
+            const now = this.audioContext.currentTime;
+            const level = this.measureLevel(waveform);
             
-            // Start timer
-            this.recordingTimer = setInterval(() => {
-                this.recordingTime += 0.1;
-                
-                if (this.onRecordingUpdate) {
-                    this.onRecordingUpdate(this.recordingTime);
-                }
-                
-                // Auto-stop at max duration
-                if (this.recordingTime >= this.maxRecordingDuration) {
-                    this.stopRecording();
-                }
-            }, 100);
+            if (level.peak >= this.inputQuietLevel) lastLoudTime = now;
+            if (level.clippedSamples > 0) lastClipTime = now;
+            
+            if (this.onInputLevel) {
+                this.onInputLevel(Object.assign(level, {
+                    time: now - startTime,
+                    clipping: now - lastClipTime < this.inputClipHold,
+                    tooQuiet: now - lastLoudTime >= this.inputQuietDelay,
+                    waveform
+                }));
+            }
+            this.inputMonitorFrame = requestAnimationFrame(tick);
+        };
+        this.inputMonitorFrame = requestAnimationFrame(tick);
+        console.log('📈 [AudioManager] Input monitor started');
+    }
+    
+    /**
+     * Stop publishing input levels and release the analyser tap
+     */
+    stopInputMonitor() {
+        if (this.inputMonitorFrame !== null) {
+            cancelAnimationFrame(this.inputMonitorFrame);
+            this.inputMonitorFrame = null;
+        }
+        if (this.inputSource) {
+            this.inputSource.disconnect();
+            this.inputSource = null;
+        }
+        this.inputAnalyser = null;
+    }
+    
+    /**
+     * Stop recording
+     */
+    stopRecording() {
+        this.stopRecordingClock();
+        this.stopInputMonitor();
+        
+        if (this.pcmRecorderNode) {
+            // The worklet ignores repeated stops and answers with 'stopped'
+            this.pcmRecorderNode.port.postMessage({ command: 'stop' });
+        } else if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+    }
+    
+    /**
+     * Abandon the take in progress: the recorder is torn down without
+     * delivering its audio, the stored recordings are left as they were and
+     * the startRecording callback is never called
+     */
+    cancelRecording() {
+        console.log('🚫 [AudioManager] Recording cancelled, discarding take');
+        this.discardRecorder();
+        this.setRecordingState('idle');
+    }
+    
+    /**
+     * Tear down the recorder, input monitor and mic without keeping the audio
+     */
+    discardRecorder() {
+        if (this.recordingSession) {
+            this.recordingSession.cancelled = true;
+            this.recordingSession = null;
+        }
+        this.stopRecordingClock();
+        this.stopInputMonitor();
+        
+        if (this.pcmRecorderNode) {
+            this.pcmRecorderNode.port.onmessage = null;
+            this.pcmRecorderNode.port.postMessage({ command: 'stop' });
+            this.pcmRecorderNode.disconnect();
+            this.pcmRecorderNode = null;
+        }
+        if (this.mediaRecorder) {
+            this.mediaRecorder.onstart = null;
+            this.mediaRecorder.onstop = null;
+            if (this.mediaRecorder.state !== 'inactive') {
+                this.mediaRecorder.stop();
+            }
+            this.mediaRecorder = null;
+        }
+        
+        this.stopRecordingStream();
+        this.voiceTrigger = null;
+        this.isRecording = false;
+        this.recordingTime = 0;
+    }
+    
+    /**
+     * Release the microphone held by the current take
+     */
+    stopRecordingStream() {
+        if (!this.recordingStream) return;
+        
+        this.recordingStream.getTracks().forEach(track => {
+            console.log('🛑 [AudioManager] Stopping track:', track.label);
+            track.onended = null;
+            track.stop();
+        });
+        this.recordingStream = null;
+    }
+    
+    /**
+     * Loudness of an AudioBuffer (all channels mixed down), cached per buffer
+     * peak is the loudest sample on any channel, not of the mix, since each
+     * channel is played as is.
+     */
+    getBufferLoudness(audioBuffer) {
+        let loudness = this.playbackLoudnessCache.get(audioBuffer);
+        if (!loudness) {
+            const take = this.getTake(audioBuffer);
+            loudness = this.measureLoudness(this.downmixToMono(take.channels), take.sampleRate);
+            loudness.peak = Math.max(...take.channels.map(channel => this.measureLevel(channel).peak));
+            loudness.peakDb = loudness.peak > 0 ? 20 * Math.log10(loudness.peak) : -Infinity;
+            this.playbackLoudnessCache.set(audioBuffer, loudness);
+        }
+        return loudness;
+    }
+    
+    /**
+     * Playback gain for a buffer: aims at playbackTargetLoudness, at most
+     * maxPlaybackGain, and never so much that the buffer's peak passes
+     * playbackPeakCeiling. Capping by the measured peak is what keeps boosted
+     * takes from clipping; the limiter only catches what a fixed gain can't
+     * know about (overlapping takes, peaks between samples).
+     */
+    getPlaybackGain(audioBuffer) {
+        const loudness = this.getBufferLoudness(audioBuffer);
+        return this.getLoudnessGain(loudness, this.playbackTargetLoudness, this.maxPlaybackGain, this.playbackPeakCeiling);
+    }
+    
+    /**
+     * Safety limiter after the playback gain
+     * A DynamicsCompressor is not a true brickwall: its 3 ms attack lets the
+     * start of a transient through, so it backs up getPlaybackGain's peak cap
+     * rather than replacing it.
+     */
+    createLimiter() {
+        const limiter = this.audioContext.createDynamicsCompressor();
+        limiter.threshold.value = -1;
+        limiter.knee.value = 0;
+        limiter.ratio.value = 20;
+        limiter.attack.value = 0.003;
+        limiter.release.value = 0.1;
+        return limiter;
+    }
+    
+    /**
+     * Play audio buffer from the start (or from the loop start if this
+     * buffer has an A-B loop). Replaces anything already playing.
+     * onComplete(finished) runs when playback ends (true) or is stopped
+     * (false), not on pause.
+     */
+    async playAudioBuffer(audioBuffer, onComplete) {
+        console.log('🔊 [AudioManager] playAudioBuffer called');
+        console.log('🔊 [AudioManager] audioBuffer:', audioBuffer);
+        console.log('🔊 [AudioManager] duration:', audioBuffer ? audioBuffer.duration : 'null');
+        
+        try {
+            await this.initAudioContext();
+            console.log('🔊 [AudioManager] AudioContext state:', this.audioContext.state);
+            
+            this.stopComparison();
+            this.stopPlaybackSource();
+            if (audioBuffer !== this.playbackBuffer) {
+                this.playbackBuffer = audioBuffer;
+                this.playbackLoop = null;
+            }
+            this.playbackRange = null;
+            this.playbackCallback = onComplete || null;
+            
+            this.startPlaybackSource(this.playbackLoop ? this.playbackLoop.start : 0);
+            this.setPlaybackState('playing');
+            console.log('🔊 [AudioManager] Playback started');
             
         } catch (error) {
-            console.error('❌ [AudioManager] Error starting recording:', error);
-            console.error('❌ [AudioManager] Error name:', error.name);
-            console.error('❌ [AudioManager] Error message:', error.message);
+            console.error('❌ [AudioManager] Error playing audio:', error);
+            console.error('❌ [AudioManager] Error stack:', error.stack);
+            this.finishPlayback();
+        }
+    }
+    
+    /**
+     * Play the [start, end] part (seconds) of audioBuffer once
+     * onComplete(finished) runs when the part ends or playback is stopped.
+     */
+    async playAudioRange(audioBuffer, start, end, onComplete) {
+        try {
+            await this.initAudioContext();
+            
+            this.stopComparison();
+            this.stopPlaybackSource();
+            this.playbackBuffer = audioBuffer;
+            this.playbackLoop = null;
+            this.playbackRange = { start, end: Math.min(end, audioBuffer.duration) };
+            this.playbackCallback = onComplete || null;
+            
+            this.startPlaybackSource(start);
+            this.setPlaybackState('playing');
+            console.log('🔊 [AudioManager] Playing ' + start.toFixed(2) + 's - ' + end.toFixed(2) + 's');
+        } catch (error) {
+            console.error('❌ [AudioManager] Error playing audio range:', error);
+            this.finishPlayback();
+        }
+    }
+    
+    /**
+     * Make audioBuffer the transport's buffer without playing it, so it can
+     * be sought or looped first. Stops whatever else was playing.
+     */
+    loadPlayback(audioBuffer) {
+        if (audioBuffer === this.playbackBuffer) return;
+        
+        this.stopPlayback();
+        this.playbackBuffer = audioBuffer;
+        this.playbackPosition = 0;
+        this.playbackLoop = null;
+        this.playbackRange = null;
+    }
+    
+    /**
+     * Start a source for playbackBuffer at offset seconds
+     * Gain aims at the playback target, capped by the take's peak (see getPlaybackGain).
+     */
+    startPlaybackSource(offset) {
+        const audioBuffer = this.playbackBuffer;
+        
+        // Measure once per buffer; gain aims at the playback target within the peak ceiling
+        const loudness = this.getBufferLoudness(audioBuffer);
+        const gain = this.getPlaybackGain(audioBuffer);
+        if (loudness.peak < 0.001) {
+            console.warn('⚠️ [AudioManager] Audio buffer is nearly silent! Max amplitude:', loudness.peak);
+        }
+        
+        const gainNode = this.audioContext.createGain();
+        gainNode.gain.value = gain;
+        const limiter = this.createLimiter();
+        
+        const speed = this.stretchedBufferSpeeds.get(audioBuffer);
+        if (speed) {
+            this.slowestListenSpeed = Math.min(this.slowestListenSpeed, speed);
+        }
+        
+        const source = this.audioContext.createBufferSource();
+        source.buffer = audioBuffer;
+        if (this.playbackLoop) {
+            source.loop = true;
+            source.loopStart = this.playbackLoop.start;
+            source.loopEnd = this.playbackLoop.end;
+        }
+        
+        // Connect: source -> gain -> limiter -> destination
+        source.connect(gainNode);
+        gainNode.connect(limiter);
+        limiter.connect(this.audioContext.destination);
+        
+        source.onended = () => {
+            // Ignore sources we stopped ourselves (pause, seek, stop)
+            if (this.playbackSource !== source) return;
+            console.log('🔊 [AudioManager] Playback ended');
+            this.playbackSource = null;
+            this.playbackPosition = 0;
+            this.finishPlayback(true);
+        };
+        
+        this.playbackSource = source;
+        this.playbackOffset = offset;
+        this.playbackStartedAt = this.audioContext.currentTime;
+        if (this.playbackRange && !this.playbackLoop) {
+            source.start(0, offset, Math.max(0, this.playbackRange.end - offset));
+        } else {
+            source.start(0, offset);
+        }
+        console.log('🔊 [AudioManager] Source at ' + offset.toFixed(2) + 's with gain ' + gain.toFixed(2) + 'x (target ' + this.playbackTargetLoudness + ' LUFS)');
+    }
+    
+    /**
+     * Silence the current source without firing any callbacks
+     */
+    stopPlaybackSource() {
+        if (!this.playbackSource) return;
+        
+        const source = this.playbackSource;
+        this.playbackSource = null;
+        source.stop();
+        source.disconnect();
+    }
+    
+    /**
+     * Playback ended (finished = true) or was stopped: notify whoever started it
+     */
+    finishPlayback(finished = false) {
+        const onComplete = this.playbackCallback;
+        this.playbackCallback = null;
+        this.playbackRange = null;
+        this.setPlaybackState('stopped');
+        if (onComplete) {
+            onComplete(finished);
+        }
+        if (this.onPlaybackEnd) {
+            this.onPlaybackEnd();
+        }
+    }
+    
+    /**
+     * Update playbackState (and isPlaying) and notify the UI
+     */
+    setPlaybackState(state) {
+        this.playbackState = state;
+        this.isPlaying = state === 'playing';
+        if (this.onPlaybackStateChange) {
+            this.onPlaybackStateChange(state);
+        }
+    }
+    
+    /**
+     * Current position in playbackBuffer, in seconds (follows A-B looping)
+     */
+    getPlaybackPosition() {
+        if (this.playbackState !== 'playing' || !this.playbackSource) {
+            return this.playbackPosition;
+        }
+        
+        const elapsed = this.audioContext.currentTime - this.playbackStartedAt;
+        let position = this.playbackOffset + elapsed;
+        const loop = this.playbackLoop;
+        if (loop && this.playbackOffset < loop.end && position >= loop.end) {
+            position = loop.start + (position - loop.end) % (loop.end - loop.start);
+        }
+        const end = this.playbackRange && !loop ? this.playbackRange.end : this.playbackBuffer.duration;
+        return Math.min(position, end);
+    }
+    
+    /**
+     * Stop playback and rewind (to the loop start if there is one)
+     */
+    stopPlayback() {
+        if (this.playbackState === 'stopped') return;
+        
+        this.stopPlaybackSource();
+        this.playbackPosition = this.playbackLoop ? this.playbackLoop.start : 0;
+        console.log('⏹️ [AudioManager] Playback stopped');
+        this.finishPlayback();
+    }
+    
+    /**
+     * Pause, keeping the position for resumePlayback
+     */
+    pausePlayback() {
+        if (this.playbackState !== 'playing') return;
+        
+        this.playbackPosition = this.getPlaybackPosition();
+        this.stopPlaybackSource();
+        console.log('⏸️ [AudioManager] Playback paused at ' + this.playbackPosition.toFixed(2) + 's');
+        this.setPlaybackState('paused');
+    }
+    
+    /**
+     * Continue from the paused (or seeked) position of playbackBuffer
+     */
+    async resumePlayback(onComplete) {
+        if (this.playbackState === 'playing' || !this.playbackBuffer) return;
+        
+        await this.initAudioContext();
+        if (onComplete) {
+            this.playbackCallback = onComplete;
+        }
+        this.startPlaybackSource(this.clampToPlayback(this.playbackPosition));
+        this.setPlaybackState('playing');
+    }
+    
+    /**
+     * Jump to time (seconds); keeps playing if playing, else just moves the position
+     */
+    seekPlayback(time) {
+        if (!this.playbackBuffer) return;
+        
+        const position = this.clampToPlayback(time);
+        if (this.playbackState === 'playing') {
+            this.stopPlaybackSource();
+            this.startPlaybackSource(position);
+        } else {
+            this.playbackPosition = position;
+        }
+        console.log('⏩ [AudioManager] Seek to ' + position.toFixed(2) + 's');
+    }
+    
+    /**
+     * Loop the [start, end] section (seconds) of playbackBuffer
+     * Playback jumps into the section if it is outside it.
+     */
+    setPlaybackLoop(start, end) {
+        if (!this.playbackBuffer) return;
+        
+        const duration = this.playbackBuffer.duration;
+        start = Math.max(0, Math.min(start, duration));
+        end = Math.max(0, Math.min(end, duration));
+        if (end - start < 0.05) return; // Too short to hear
+        
+        const position = this.getPlaybackPosition();
+        this.playbackLoop = { start, end };
+        this.playbackRange = null;
+        console.log('🔁 [AudioManager] Looping ' + start.toFixed(2) + 's - ' + end.toFixed(2) + 's');
+        this.seekPlayback(position >= start && position < end ? position : start);
+        if (this.onPlaybackStateChange) {
+            this.onPlaybackStateChange(this.playbackState);
+        }
+    }
+    
+    /**
+     * Play on past the loop end instead of looping
+     */
+    clearPlaybackLoop() {
+        if (!this.playbackLoop) return;
+        
+        const position = this.getPlaybackPosition();
+        this.playbackLoop = null;
+        console.log('🔁 [AudioManager] Loop cleared');
+        this.seekPlayback(position);
+        if (this.onPlaybackStateChange) {
+            this.onPlaybackStateChange(this.playbackState);
+        }
+    }
+    
+    /**
+     * Keep a start position inside the buffer and inside any loop or range
+     */
+    clampToPlayback(time) {
+        const section = this.playbackLoop || this.playbackRange;
+        if (section && (time < section.start || time >= section.end)) {
+            return section.start;
+        }
+        // Starting at the very end would end immediately; start over instead
+        return time >= this.playbackBuffer.duration ? 0 : Math.max(0, time);
+    }
+    
+    /**
+     * The two takes to compare, shifted so both voices start together
+     * Returns { takes: [{ id, buffer, shift }], duration } (seconds) or null.
+     */
+    getComparisonTimeline() {
+        if (!this.player1OriginalBuffer || !this.player2ReverseForwardBuffer) {
+            return null;
+        }
+        
+        // Line up on the trimmed starts when the analysis found them
+        const lead1 = this.trimPoints ? this.trimPoints.original.startTime : 0;
+        const lead2 = this.trimPoints ? this.trimPoints.attempt.startTime : 0;
+        const takes = [
+            { id: 'original', buffer: this.player1OriginalBuffer, shift: Math.max(0, lead2 - lead1) },
+            { id: 'attempt', buffer: this.player2ReverseForwardBuffer, shift: Math.max(0, lead1 - lead2) }
+        ];
+        const duration = Math.max(...takes.map(take => take.shift + take.buffer.duration));
+        return { takes, duration };
+    }
+    
+    /**
+     * Play both takes from a timeline position, heard according to comparisonMode
+     */
+    async playComparison(position = this.comparisonPosition) {
+        const timeline = this.getComparisonTimeline();
+        if (!timeline) return;
+        
+        await this.initAudioContext();
+        this.stopPlayback();
+        this.stopComparisonSources();
+        if (position >= timeline.duration) {
+            position = 0;
+        }
+        
+        const now = this.audioContext.currentTime;
+        const limiter = this.createLimiter();
+        limiter.connect(this.audioContext.destination);
+        const session = { takes: [], startedAt: now, offset: position, duration: timeline.duration, limiter };
+        
+        for (const take of timeline.takes) {
+            const level = this.audioContext.createGain();
+            level.gain.value = this.getPlaybackGain(take.buffer);
+            const mute = this.audioContext.createGain();
+            const panner = this.audioContext.createStereoPanner();
             
-            let errorMessage = 'Failed to access microphone. ';
-            if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
-                errorMessage += 'Please allow microphone access in your browser settings.';
-            } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
-                errorMessage += 'No microphone found. Please connect a microphone.';
-            } else if (error.name === 'NotReadableError' || error.name === 'TrackStartError') {
-                errorMessage += 'Microphone is being used by another application.';
-            } else if (error.name === 'NotSupportedError') {
-                errorMessage += 'Your browser does not support audio recording. Try Chrome or Firefox.';
-            } else {
-                errorMessage += error.message;
+            const source = this.audioContext.createBufferSource();
+            source.buffer = take.buffer;
+            source.connect(level);
+            level.connect(mute);
+            mute.connect(panner);
+            panner.connect(limiter);
+            
+            // A take that starts later on the timeline waits for its turn
+            const offset = position - take.shift;
+            const end = take.shift + take.buffer.duration;
+            if (offset < take.buffer.duration) {
+                source.start(now + Math.max(0, -offset), Math.max(0, offset));
             }
+            session.takes.push({ id: take.id, source, mute, panner, started: offset < take.buffer.duration });
             
-            alert(errorMessage);
-            if (onComplete) {
-                onComplete(null);
+            // The take that reaches the end of the timeline ends the session
+            if (end === timeline.duration) {
+                source.onended = () => {
+                    if (this.comparison !== session) return;
+                    this.stopComparisonSources();
+                    this.comparisonPosition = 0;
+                    console.log('🎧 [AudioManager] Comparison finished');
+                    this.notifyComparisonChange();
+                };
             }
         }
+        
+        this.comparison = session;
+        this.applyComparisonMode(true);
+        console.log('🎧 [AudioManager] Comparing (' + this.comparisonMode + ') from ' + position.toFixed(2) + 's');
+        this.notifyComparisonChange();
     }
     
     /**
-     * Stop recording
+     * Hear the original, the attempt, or both (original left, attempt right)
+     * Switching while playing keeps the playhead: only the mix changes.
      */
-    stopRecording() {
-        if (this.recordingTimer) {
-            clearInterval(this.recordingTimer);
-            this.recordingTimer = null;
+    setComparisonMode(mode) {
+        if (!['original', 'attempt', 'both'].includes(mode)) return;
+        
+        this.comparisonMode = mode;
+        this.applyComparisonMode(false);
+        this.notifyComparisonChange();
+    }
+    
+    /**
+     * Set each take's mute and pan for comparisonMode (short ramps, no clicks)
+     */
+    applyComparisonMode(immediate) {
+        if (!this.comparison) return;
+        
+        const now = this.audioContext.currentTime;
+        for (const take of this.comparison.takes) {
+            const audible = this.comparisonMode === 'both' || this.comparisonMode === take.id;
+            const pan = this.comparisonMode === 'both' ? (take.id === 'original' ? -1 : 1) : 0;
+            if (immediate) {
+                take.mute.gain.value = audible ? 1 : 0;
+                take.panner.pan.value = pan;
+            } else {
+                take.mute.gain.setTargetAtTime(audible ? 1 : 0, now, 0.01);
+                take.panner.pan.setTargetAtTime(pan, now, 0.01);
+            }
         }
+    }
+    
+    /**
+     * Current timeline position of the comparison, in seconds
+     */
+    getComparisonPosition() {
+        if (!this.comparison) {
+            return this.comparisonPosition;
+        }
+        const elapsed = this.audioContext.currentTime - this.comparison.startedAt;
+        return Math.min(this.comparison.offset + elapsed, this.comparison.duration);
+    }
+    
+    /**
+     * Jump to a timeline position (keeps playing if playing)
+     */
+    seekComparison(time) {
+        const timeline = this.getComparisonTimeline();
+        if (!timeline) return;
         
-        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
-            this.mediaRecorder.stop();
+        const position = Math.max(0, Math.min(time, timeline.duration));
+        if (this.comparison) {
+            this.playComparison(position);
+        } else {
+            this.comparisonPosition = position;
+            this.notifyComparisonChange();
         }
     }
     
     /**
-     * Play audio buffer
+     * Pause the comparison where it is
      */
-    async playAudioBuffer(audioBuffer, onComplete) {
-        console.log('🔊 [AudioManager] playAudioBuffer called');
-        console.log('🔊 [AudioManager] audioBuffer:', audioBuffer);
-        console.log('🔊 [AudioManager] duration:', audioBuffer ? audioBuffer.duration : 'null');
+    pauseComparison() {
+        if (!this.comparison) return;
         
-        try {
-            await this.initAudioContext();
-            console.log('🔊 [AudioManager] AudioContext state:', this.audioContext.state);
-            
-            // Check if buffer has audio data
-            const channelData = audioBuffer.getChannelData(0);
-            let maxAmplitude = 0;
-            for (let i = 0; i < channelData.length; i++) {
-                maxAmplitude = Math.max(maxAmplitude, Math.abs(channelData[i]));
-            }
-            console.log('🔊 [AudioManager] Max amplitude in buffer:', maxAmplitude.toFixed(4));
-            
-            if (maxAmplitude < 0.001) {
-                console.warn('⚠️ [AudioManager] Audio buffer is nearly silent! Max amplitude:', maxAmplitude);
-            }
-            
-                // Create gain node for volume boost
-                const gainNode = this.audioContext.createGain();
-                gainNode.gain.value = 3.0; // 3x volume boost for clarity without distortion
-            
-            const source = this.audioContext.createBufferSource();
-            source.buffer = audioBuffer;
-            
-            // Connect: source -> gain -> destination
-            source.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-            console.log('🔊 [AudioManager] Source created with gain boost: 3.0x');
-            console.log('🔊 [AudioManager] Output volume will be:', (maxAmplitude * 3.0).toFixed(4));
-            
-            source.onended = () => {
-                console.log('🔊 [AudioManager] Playback ended');
-                this.isPlaying = false;
-                if (onComplete) {
-                    onComplete();
-                }
-                if (this.onPlaybackEnd) {
-                    this.onPlaybackEnd();
-                }
-            };
-            
-            this.isPlaying = true;
-            source.start(0);
-            console.log('🔊 [AudioManager] Playback started with 3x boosted volume for clarity');
-            
-        } catch (error) {
-            console.error('❌ [AudioManager] Error playing audio:', error);
-            console.error('❌ [AudioManager] Error stack:', error.stack);
-            this.isPlaying = false;
-            if (onComplete) {
-                onComplete();
+        this.comparisonPosition = this.getComparisonPosition();
+        this.stopComparisonSources();
+        this.notifyComparisonChange();
+    }
+    
+    /**
+     * Stop the comparison and rewind
+     */
+    stopComparison() {
+        if (!this.comparison && this.comparisonPosition === 0) return;
+        
+        this.stopComparisonSources();
+        this.comparisonPosition = 0;
+        this.notifyComparisonChange();
+    }
+    
+    /**
+     * Tear down the comparison's nodes without touching the position
+     */
+    stopComparisonSources() {
+        const session = this.comparison;
+        if (!session) return;
+        
+        this.comparison = null;
+        for (const take of session.takes) {
+            if (take.started) {
+                take.source.stop();
             }
+            take.source.disconnect();
+        }
+        session.limiter.disconnect();
+    }
+    
+    /**
+     * Tell the results view the comparison changed
+     */
+    notifyComparisonChange() {
+        if (this.onComparisonChange) {
+            this.onComparisonChange();
         }
     }
     
@@ -293,12 +1655,7 @@ class AudioManager {
         
         // Reverse each channel
         for (let channel = 0; channel < numberOfChannels; channel++) {
-            const inputData = inputBuffer.getChannelData(channel);
-            const outputData = reversedBuffer.getChannelData(channel);
-            
-            for (let i = 0; i < length; i++) {
-                outputData[i] = inputData[length - 1 - i];
-            }
+            reversedBuffer.getChannelData(channel).set(this.reverseSamples(inputBuffer.getChannelData(channel)));
         }
         
         return reversedBuffer;
@@ -321,6 +1678,7 @@ class AudioManager {
             
             console.log('🔄 [AudioManager] Reversing buffer...');
             this.player1ReversedBuffer = this.reverseAudioBuffer(this.player1OriginalBuffer);
+            this.slowestListenSpeed = 1;
             console.log('🔄 [AudioManager] Buffer reversed successfully');
             console.log('🔄 [AudioManager] Reversed buffer duration:', this.player1ReversedBuffer.duration);
             
@@ -336,6 +1694,149 @@ class AudioManager {
         }
     }
     
+    /**
+     * Time-stretched copy of audioBuffer (same pitch), cached per buffer and speed
+     */
+    getStretchedBuffer(audioBuffer, speed) {
+        if (speed === 1) {
+            return audioBuffer;
+        }
+        
+        if (!this.stretchedBuffers.has(audioBuffer)) {
+            this.stretchedBuffers.set(audioBuffer, new Map());
+        }
+        const cache = this.stretchedBuffers.get(audioBuffer);
+        if (!cache.has(speed)) {
+            const started = performance.now();
+            const channels = [];
+            for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+                channels.push(this.timeStretch(audioBuffer.getChannelData(channel), audioBuffer.sampleRate, speed));
+            }
+            const stretched = this.audioContext.createBuffer(channels.length, channels[0].length, audioBuffer.sampleRate);
+            channels.forEach((data, channel) => stretched.getChannelData(channel).set(data));
+            
+            cache.set(speed, stretched);
+            this.stretchedBufferSpeeds.set(stretched, speed);
+            console.log('🐢 [AudioManager] Rendered ' + Math.round(speed * 100) + '% speed in ' + Math.round(performance.now() - started) + 'ms');
+        }
+        return cache.get(speed);
+    }
+    
+    /**
+     * Player 1's reversed take at the chosen listening speed
+     * (always full speed when the house rules forbid slow listening)
+     */
+    getListenBuffer() {
+        if (!this.player1ReversedBuffer) {
+            return null;
+        }
+        return this.getStretchedBuffer(this.player1ReversedBuffer, this.getListenSpeed());
+    }
+    
+    /**
+     * Speed the reversed take actually plays at (house rules applied)
+     */
+    getListenSpeed() {
+        return this.slowListeningAllowed ? this.listenSpeed : 1;
+    }
+    
+    /**
+     * Phrase/syllable chunks of the reversed take, in seconds of the
+     * full-speed take (cached per take; see segmentPhrases)
+     */
+    getPhraseSegments() {
+        const buffer = this.player1ReversedBuffer;
+        if (!buffer) {
+            return [];
+        }
+        
+        if (!this.phraseSegments || this.phraseSegments.buffer !== buffer) {
+            const channels = [];
+            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+                channels.push(buffer.getChannelData(channel));
+            }
+            const segments = this.segmentPhrases(this.downmixToMono(channels), buffer.sampleRate);
+            this.phraseSegments = { buffer, segments };
+            console.log('🧩 [AudioManager] Reversed take split into ' + segments.length + ' chunks');
+        }
+        return this.phraseSegments.segments;
+    }
+    
+    /**
+     * Play some chunks of the reversed take in order, at the listening speed
+     * Neighbouring chunks play as one stretch; gaps are skipped.
+     * onComplete(finished) runs after the last one, or when playback is stopped.
+     */
+    async playPhraseSegments(indices, onComplete) {
+        const segments = this.getPhraseSegments();
+        const chosen = [...new Set(indices)].sort((a, b) => a - b).filter(i => segments[i]);
+        if (chosen.length === 0) {
+            if (onComplete) onComplete();
+            return;
+        }
+        
+        // Group runs of neighbouring chunks
+        const stretches = [];
+        for (const index of chosen) {
+            const last = stretches[stretches.length - 1];
+            if (last && last.lastIndex === index - 1) {
+                last.end = segments[index].endTime;
+                last.lastIndex = index;
+            } else {
+                stretches.push({ start: segments[index].startTime, end: segments[index].endTime, lastIndex: index });
+            }
+        }
+        
+        const buffer = this.getListenBuffer();
+        const scale = 1 / this.getListenSpeed();
+        const playFrom = async (n) => {
+            const stretch = stretches[n];
+            await this.playAudioRange(buffer, stretch.start * scale, stretch.end * scale, (finished) => {
+                // Carry on only if this stretch ran to its end (not stopped)
+                if (finished && n + 1 < stretches.length) {
+                    playFrom(n + 1);
+                } else if (onComplete) {
+                    onComplete(finished);
+                }
+            });
+        };
+        await playFrom(0);
+    }
+    
+    /**
+     * Change the listening speed. If the reversed take is on the transport,
+     * it carries on at the same point of the phrase (and the same loop).
+     */
+    setListenSpeed(speed) {
+        if (!this.listenSpeeds.includes(speed) || speed === this.listenSpeed) return;
+        
+        const previous = this.getListenBuffer();
+        const previousSpeed = this.getListenSpeed();
+        this.listenSpeed = speed;
+        const next = this.getListenBuffer();
+        if (!previous || this.playbackBuffer !== previous || next === previous) return;
+        
+        // Same phrase position in the new buffer's time
+        const scale = previousSpeed / this.getListenSpeed();
+        const position = this.getPlaybackPosition() * scale;
+        const rescale = (section) => (section ? { start: section.start * scale, end: section.end * scale } : null);
+        const wasPlaying = this.playbackState === 'playing';
+        
+        this.stopPlaybackSource();
+        this.playbackBuffer = next;
+        this.playbackLoop = rescale(this.playbackLoop);
+        this.playbackRange = rescale(this.playbackRange);
+        if (wasPlaying) {
+            this.startPlaybackSource(this.clampToPlayback(position));
+        } else {
+            this.playbackPosition = position;
+        }
+        console.log('🐢 [AudioManager] Listening at ' + Math.round(speed * 100) + '% speed');
+        if (this.onPlaybackStateChange) {
+            this.onPlaybackStateChange(this.playbackState);
+        }
+    }
+    
     /**
      * Reverse Player 2's recording (reverse the mimic back to forward)
      */
@@ -367,386 +1868,250 @@ class AudioManager {
     }
     
     /**
-     * Extract simplified MFCC-like features (timbre representation)
-     * Uses frequency band energy distribution as MFCC approximation
+     * Time offset (attempt minus original, in seconds) along the last warping path,
+     * so the UI can show where the attempt drifted
      */
-    extractMFCCFeatures(audioData, sampleRate) {
-        const windowSize = 2048;
-        const hopSize = 512;
-        const numBands = 13; // Standard MFCC count
-        const features = [];
-        
-        // Mel scale frequency bands (approximate)
-        const melBands = [];
-        for (let i = 0; i < numBands; i++) {
-            const melFreq = (i / numBands) * 2595 * Math.log10(1 + sampleRate / 2 / 700);
-            melBands.push(700 * (Math.pow(10, melFreq / 2595) - 1));
-        }
-        
-        for (let pos = 0; pos < audioData.length - windowSize; pos += hopSize) {
-            const frame = audioData.slice(pos, pos + windowSize);
-            const bandEnergies = new Array(numBands).fill(0);
-            
-            // Calculate energy in each mel band
-            for (let i = 0; i < windowSize / 2; i++) {
-                const freq = (i * sampleRate) / windowSize;
-                const magnitude = Math.abs(frame[i]);
-                
-                // Find which mel band this frequency belongs to
-                for (let b = 0; b < numBands - 1; b++) {
-                    if (freq >= melBands[b] && freq < melBands[b + 1]) {
-                        bandEnergies[b] += magnitude * magnitude;
-                        break;
-                    }
-                }
-            }
-            
-            // Log scale and normalize
-            const logEnergies = bandEnergies.map(e => Math.log(e + 1e-10));
-            features.push(logEnergies);
-        }
+    getAlignmentDrift(alignment = this.lastAlignment) {
+        if (!alignment) return [];
         
-        return features;
+        const frameDuration = alignment.hopSize / alignment.sampleRate;
+        const startTime = alignment.offsets ? alignment.offsets[0] / alignment.sampleRate : 0;
+        return alignment.path.map(([i, j]) => ({
+            time: startTime + i * frameDuration,
+            drift: (j - i) * frameDuration
+        }));
     }
     
     /**
-     * Calculate cosine similarity between two MFCC feature sets
+     * Keep the latest analysis around for the UI (trim points, warping path)
      */
-    calculateMFCCSimilarity(features1, features2) {
-        if (features1.length === 0 || features2.length === 0) return 0;
-        
-        const minFrames = Math.min(features1.length, features2.length);
-        let totalSimilarity = 0;
-        
-        for (let i = 0; i < minFrames; i++) {
-            const f1 = features1[Math.floor(i * features1.length / minFrames)];
-            const f2 = features2[Math.floor(i * features2.length / minFrames)];
-            
-            // Cosine similarity
-            let dotProduct = 0, mag1 = 0, mag2 = 0;
-            for (let j = 0; j < f1.length; j++) {
-                dotProduct += f1[j] * f2[j];
-                mag1 += f1[j] * f1[j];
-                mag2 += f2[j] * f2[j];
-            }
-            
-            const similarity = dotProduct / (Math.sqrt(mag1 * mag2) + 1e-10);
-            totalSimilarity += similarity;
-        }
-        
-        return totalSimilarity / minFrames;
+    storeAnalysisResult(result) {
+        this.lastResult = result;
+        this.trimPoints = result.trimPoints || null;
+        this.lastAlignment = result.alignment || null;
     }
     
     /**
-     * Extract pitch contour using autocorrelation method
+     * All channels of an AudioBuffer plus its rate, ready for analyzeTakes
+     * (copy=true detaches the data from the buffer so it can be transferred)
      */
-    extractPitchContour(audioData, sampleRate) {
-        const windowSize = 2048;
-        const hopSize = 512;
-        const minFreq = 80;  // Minimum pitch (Hz)
-        const maxFreq = 500; // Maximum pitch (Hz)
-        const pitchContour = [];
-        
-        for (let pos = 0; pos < audioData.length - windowSize; pos += hopSize) {
-            const frame = audioData.slice(pos, pos + windowSize);
-            
-            // Autocorrelation
-            const minLag = Math.floor(sampleRate / maxFreq);
-            const maxLag = Math.floor(sampleRate / minFreq);
-            let maxCorr = -Infinity;
-            let bestLag = 0;
-            
-            for (let lag = minLag; lag < maxLag && lag < windowSize / 2; lag++) {
-                let corr = 0;
-                for (let i = 0; i < windowSize - lag; i++) {
-                    corr += frame[i] * frame[i + lag];
-                }
-                
-                if (corr > maxCorr) {
-                    maxCorr = corr;
-                    bestLag = lag;
-                }
-            }
-            
-            // Convert lag to frequency
-            const pitch = bestLag > 0 ? sampleRate / bestLag : 0;
-            
-            // Only record if above threshold (likely voiced)
-            if (maxCorr > 0.3) {
-                pitchContour.push(pitch);
-            } else {
-                pitchContour.push(0); // Unvoiced/silent
-            }
+    getTake(audioBuffer, copy = false) {
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            channels.push(copy ? data.slice() : data);
         }
-        
-        return pitchContour;
+        return { channels, sampleRate: audioBuffer.sampleRate };
     }
     
     /**
-     * Calculate pitch contour match using correlation
+     * Log what is about to be compared
      */
-    calculatePitchContourMatch(contour1, contour2) {
-        if (contour1.length === 0 || contour2.length === 0) return 0.5;
-        
-        const minLen = Math.min(contour1.length, contour2.length);
-        let totalDiff = 0;
-        let validFrames = 0;
-        
-        for (let i = 0; i < minLen; i++) {
-            const p1 = contour1[Math.floor(i * contour1.length / minLen)];
-            const p2 = contour2[Math.floor(i * contour2.length / minLen)];
-            
-            // Skip if both are unvoiced
-            if (p1 === 0 && p2 === 0) continue;
-            
-            // If one is voiced and other isn't, penalize
-            if ((p1 === 0) !== (p2 === 0)) {
-                totalDiff += 1;
-                validFrames++;
-                continue;
-            }
-            
-            // Both voiced - compare pitch difference
-            const diff = Math.abs(p1 - p2) / Math.max(p1, p2);
-            totalDiff += Math.min(1, diff);
-            validFrames++;
+    logComparison(buffer1, buffer2) {
+        console.log('🎯 [AudioManager] Starting MFCC-based audio comparison...');
+        console.log('📊 [AudioManager] Comparing:');
+        console.log('  🎤 Player 1 ORIGINAL (forward): ' + buffer1.duration.toFixed(2) + 's, ' + buffer1.length + ' samples @ ' + buffer1.sampleRate + ' Hz, ' + buffer1.numberOfChannels + 'ch');
+        console.log('  🔄 Player 2 REVERSED to forward: ' + buffer2.duration.toFixed(2) + 's, ' + buffer2.length + ' samples @ ' + buffer2.sampleRate + ' Hz, ' + buffer2.numberOfChannels + 'ch');
+        console.log('  🔁 Both downmixed and resampled to mono @ ' + this.analysisSampleRate + ' Hz for analysis');
+        console.log('  ℹ️  Flow: P1 forward → reversed → P2 hears & mimics → P2 reversed back to forward → compare');
+    }
+    
+    /**
+     * Log how a finished analysis scored (or why it wasn't scored)
+     */
+    logAnalysisResult(result) {
+        if (result.verdict !== 'ok') {
+            console.warn('⚠️ [AudioManager] Not scoring: ' + result.verdictMessage);
+            return;
         }
         
-        if (validFrames === 0) return 0.5; // Neutral if no voiced frames
-        
-        const avgDiff = totalDiff / validFrames;
-        return 1 - avgDiff; // Convert difference to similarity
+        const { original, attempt } = result.trimPoints;
+        const loudness = result.loudness;
+        console.log('  ✂️  Trimmed P1: ' + original.startTime.toFixed(2) + 's → ' + original.endTime.toFixed(2) + 's');
+        console.log('  ✂️  Trimmed P2: ' + attempt.startTime.toFixed(2) + 's → ' + attempt.endTime.toFixed(2) + 's');
+        console.log('🎯 [AudioManager] MFCC-Based Scoring Breakdown (' + result.profile.name + ' profile):');
+        result.components.forEach(c => {
+            console.log('  ' + c.icon + ' ' + (c.label + ':').padEnd(28) + (c.value * 100).toFixed(1) + '% (weight: ' + Math.round(c.weight * 100) + '%)');
+        });
+        console.log('  🎶 Pitch mode:                ' + result.pitchMode + ', transposed ' + result.transpositionCents.toFixed(0) + ' cents');
+        console.log('  🔊 Loudness:                  ' + loudness.original.lufs.toFixed(1) + ' / ' + loudness.attempt.lufs.toFixed(1) + ' LUFS, range ' +
+            loudness.original.range.toFixed(1) + ' / ' + loudness.attempt.range.toFixed(1) + ' LU' +
+            (loudness.normalized ? ' (normalized to ' + loudness.targetLufs + ')' : ''));
+        console.log('  🧭 DTW alignment cost:        ' + result.alignmentCost.toFixed(3) + ' per step (' + result.alignment.path.length + ' steps)');
+        console.log('  ━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log('  📊 Raw weighted score:        ' + (result.rawScore * 100).toFixed(1) + '%');
+        console.log('  📈 After curve adjustment:    ' + result.adjustedScore.toFixed(1) + '% (' + result.curveStage + ' curve)');
+        console.log('  🏆 Final score:               ' + result.score + '%');
     }
     
     /**
-     * Calculate spectral centroid (brightness) from audio data
+     * Compare two audio buffers on the main thread
      */
-    calculateSpectralCentroid(audioData, sampleRate) {
-        const fftSize = 2048;
-        const numFrames = Math.floor(audioData.length / fftSize);
-        let totalCentroid = 0;
-        
-        for (let frame = 0; frame < numFrames; frame++) {
-            const start = frame * fftSize;
-            const frameData = audioData.slice(start, start + fftSize);
+    compareAudio(onComplete) {
+        try {
+            if (!this.player1OriginalBuffer || !this.player2ReverseForwardBuffer) {
+                throw new Error('Missing audio buffers for comparison');
+            }
+            
+            const buffer1 = this.player1OriginalBuffer;
+            const buffer2 = this.player2ReverseForwardBuffer;
+            this.logComparison(buffer1, buffer2);
             
-            // Simple spectral centroid approximation
-            let weightedSum = 0;
-            let magnitudeSum = 0;
+            const result = this.analyzeTakes(this.getTake(buffer1), this.getTake(buffer2));
+            this.logAnalysisResult(result);
+            this.storeAnalysisResult(result);
             
-            for (let i = 0; i < frameData.length / 2; i++) {
-                const magnitude = Math.abs(frameData[i]);
-                const frequency = (i * sampleRate) / fftSize;
-                weightedSum += frequency * magnitude;
-                magnitudeSum += magnitude;
+            if (onComplete) {
+                onComplete(result);
             }
-            
-            if (magnitudeSum > 0) {
-                totalCentroid += weightedSum / magnitudeSum;
+        } catch (error) {
+            console.error('❌ [AudioManager] Error comparing audio:', error);
+            console.error(error.stack);
+            if (onComplete) {
+                onComplete(this.createFailedResult(error));
             }
         }
-        
-        return numFrames > 0 ? totalCentroid / numFrames : 0;
     }
     
     /**
-     * Calculate RMS energy curve
+     * Lazily start the analysis worker
      */
-    calculateRMSEnergyCurve(audioData, windowSize = 2048) {
-        const energyCurve = [];
-        const hopSize = windowSize / 2;
-        
-        for (let i = 0; i < audioData.length - windowSize; i += hopSize) {
-            let sum = 0;
-            for (let j = 0; j < windowSize; j++) {
-                sum += audioData[i + j] * audioData[i + j];
-            }
-            energyCurve.push(Math.sqrt(sum / windowSize));
+    getAnalysisWorker() {
+        if (!this.analysisWorker) {
+            this.analysisWorker = new Worker('AnalysisWorker.js');
+            this.analysisWorker.onmessage = (event) => this.handleAnalysisMessage(event.data);
+            this.analysisWorker.onerror = (event) => {
+                console.error('❌ [AudioManager] Analysis worker error:', event.message);
+                const pending = this.pendingAnalysis;
+                this.terminateAnalysisWorker();
+                if (pending) {
+                    pending.resolve(this.createFailedResult(new Error(event.message)));
+                }
+            };
         }
-        
-        return energyCurve;
+        return this.analysisWorker;
     }
     
     /**
-     * Detect onset times in audio
+     * Route progress/result messages from the worker to the pending request
      */
-    detectOnsets(audioData, threshold = 0.1) {
-        const windowSize = 512;
-        const onsets = [];
-        let prevEnergy = 0;
+    handleAnalysisMessage(message) {
+        const pending = this.pendingAnalysis;
+        if (!pending || message.id !== pending.id) {
+            return; // Stale message from a cancelled request
+        }
         
-        for (let i = 0; i < audioData.length - windowSize; i += windowSize) {
-            let energy = 0;
-            for (let j = 0; j < windowSize; j++) {
-                energy += Math.abs(audioData[i + j]);
-            }
-            energy /= windowSize;
-            
-            // Detect sharp increases in energy
-            if (energy > prevEnergy * (1 + threshold) && energy > 0.01) {
-                onsets.push(i);
+        if (message.type === 'progress') {
+            if (pending.onProgress) {
+                pending.onProgress(message.stage, message.progress);
             }
-            
-            prevEnergy = energy;
+        } else if (message.type === 'result') {
+            this.pendingAnalysis = null;
+            this.logAnalysisResult(message.result);
+            this.storeAnalysisResult(message.result);
+            pending.resolve(message.result);
+        } else if (message.type === 'error') {
+            this.pendingAnalysis = null;
+            console.error('❌ [AudioManager] Error comparing audio in worker:', message.error);
+            pending.resolve(this.createFailedResult(new Error(message.error)));
         }
-        
-        return onsets;
     }
     
     /**
-     * Calculate correlation between two arrays
+     * Compare the two takes in a Web Worker so the UI stays responsive
+     * options.onProgress(stage, fraction) reports analysis stages;
+     * options.signal (AbortSignal) cancels, rejecting with an AbortError.
+     * Falls back to the main thread where workers are unavailable (e.g. file://).
      */
-    calculateCorrelation(arr1, arr2) {
-        const len = Math.min(arr1.length, arr2.length);
-        if (len === 0) return 0;
+    compareAudioInWorker(options = {}) {
+        const { onProgress, signal } = options;
+        
+        if (!this.player1OriginalBuffer || !this.player2ReverseForwardBuffer) {
+            console.error('❌ [AudioManager] Missing audio buffers for comparison');
+            return Promise.resolve(this.createFailedResult(new Error('Missing audio buffers for comparison')));
+        }
         
-        let sum1 = 0, sum2 = 0, sum1Sq = 0, sum2Sq = 0, pSum = 0;
+        // Only one analysis at a time
+        this.cancelAnalysis();
         
-        for (let i = 0; i < len; i++) {
-            sum1 += arr1[i];
-            sum2 += arr2[i];
-            sum1Sq += arr1[i] * arr1[i];
-            sum2Sq += arr2[i] * arr2[i];
-            pSum += arr1[i] * arr2[i];
+        let worker = null;
+        try {
+            worker = typeof Worker !== 'undefined' ? this.getAnalysisWorker() : null;
+        } catch (error) {
+            console.warn('⚠️ [AudioManager] Analysis worker unavailable, analyzing on main thread:', error.message);
         }
+        if (!worker) {
+            return new Promise(resolve => this.compareAudio(resolve));
+        }
+        
+        const buffer1 = this.player1OriginalBuffer;
+        const buffer2 = this.player2ReverseForwardBuffer;
+        this.logComparison(buffer1, buffer2);
         
-        const num = pSum - (sum1 * sum2 / len);
-        const den = Math.sqrt((sum1Sq - sum1 * sum1 / len) * (sum2Sq - sum2 * sum2 / len));
+        // Copy out of the AudioBuffers so the copies can be transferred
+        const take1 = this.getTake(buffer1, true);
+        const take2 = this.getTake(buffer2, true);
+        const transfer = take1.channels.concat(take2.channels).map(channel => channel.buffer);
+        const id = ++this.analysisRequestId;
         
-        if (den === 0) return 0;
-        return num / den;
+        return new Promise((resolve, reject) => {
+            this.pendingAnalysis = { id, resolve, reject, onProgress };
+            
+            if (signal) {
+                if (signal.aborted) {
+                    this.cancelAnalysis();
+                    return;
+                }
+                signal.addEventListener('abort', () => {
+                    if (this.pendingAnalysis && this.pendingAnalysis.id === id) {
+                        this.cancelAnalysis();
+                    }
+                }, { once: true });
+            }
+            
+            worker.postMessage({
+                type: 'analyze',
+                id,
+                take1,
+                take2,
+                settings: this.getAnalysisSettings()
+            }, transfer);
+        });
     }
     
     /**
-     * Compare two audio buffers using MFCC-based scoring system
+     * Cancel the running worker analysis (if any)
+     * The worker is terminated mid-computation and restarted on next use.
      */
-    compareAudio(onComplete) {
-        try {
-            if (!this.player1OriginalBuffer || !this.player2ReverseForwardBuffer) {
-                throw new Error('Missing audio buffers for comparison');
-            }
-            
-            const buffer1 = this.player1OriginalBuffer;
-            const buffer2 = this.player2ReverseForwardBuffer;
-            const sampleRate = buffer1.sampleRate;
-            
-            console.log('🎯 [AudioManager] Starting MFCC-based audio comparison...');
-            console.log('📊 [AudioManager] Comparing:');
-            console.log('  🎤 Player 1 ORIGINAL (forward): ' + buffer1.duration.toFixed(2) + 's, ' + buffer1.length + ' samples');
-            console.log('  🔄 Player 2 REVERSED to forward: ' + buffer2.duration.toFixed(2) + 's, ' + buffer2.length + ' samples');
-            console.log('  ℹ️  Flow: P1 forward → reversed → P2 hears & mimics → P2 reversed back to forward → compare');
-            
-            // Get channel data (use first channel)
-            const data1 = buffer1.getChannelData(0);
-            const data2 = buffer2.getChannelData(0);
-            
-            const minLength = Math.min(data1.length, data2.length);
-            
-            // Normalize lengths for comparison
-            const normalized1 = new Float32Array(minLength);
-            const normalized2 = new Float32Array(minLength);
-            normalized1.set(data1.slice(0, minLength));
-            normalized2.set(data2.slice(0, minLength));
-            
-            // === 1. MFCC SIMILARITY (Timbre) - 35% ===
-            const mfccFeatures1 = this.extractMFCCFeatures(normalized1, sampleRate);
-            const mfccFeatures2 = this.extractMFCCFeatures(normalized2, sampleRate);
-            const mfccSimilarityRaw = this.calculateMFCCSimilarity(mfccFeatures1, mfccFeatures2);
-            // Normalize from [-1, 1] to [0, 1]
-            const mfccSimilarity = (mfccSimilarityRaw + 1) / 2;
-            
-            // === 2. PITCH CONTOUR MATCH - 25% ===
-            const pitchContour1 = this.extractPitchContour(normalized1, sampleRate);
-            const pitchContour2 = this.extractPitchContour(normalized2, sampleRate);
-            const pitchMatch = this.calculatePitchContourMatch(pitchContour1, pitchContour2);
-            
-            // === 3. ENVELOPE MATCH (Shape/Dynamics) - 15% ===
-            const envelope1 = this.calculateRMSEnergyCurve(normalized1);
-            const envelope2 = this.calculateRMSEnergyCurve(normalized2);
-            const envelopeCorrelation = this.calculateCorrelation(envelope1, envelope2);
-            const envelopeMatch = (envelopeCorrelation + 1) / 2; // Map [-1,1] to [0,1]
-            
-            // === 4. SPECTRAL CENTROID MATCH (Brightness) - 10% ===
-            const centroid1 = this.calculateSpectralCentroid(normalized1, sampleRate);
-            const centroid2 = this.calculateSpectralCentroid(normalized2, sampleRate);
-            const centroidDiff = Math.abs(centroid1 - centroid2);
-            const maxCentroid = Math.max(centroid1, centroid2, 1);
-            const spectralMatch = 1 - Math.min(1, centroidDiff / maxCentroid);
-            
-            // === 5. ENERGY MATCH (Loudness Profile) - 10% ===
-            let totalEnergy1 = 0, totalEnergy2 = 0;
-            for (let i = 0; i < minLength; i++) {
-                totalEnergy1 += normalized1[i] * normalized1[i];
-                totalEnergy2 += normalized2[i] * normalized2[i];
-            }
-            const rms1 = Math.sqrt(totalEnergy1 / minLength);
-            const rms2 = Math.sqrt(totalEnergy2 / minLength);
-            const energyMatch = Math.min(rms1, rms2) / Math.max(rms1, rms2, 0.001);
-            
-            // === 6. DURATION MATCH - 5% ===
-            const dur1 = buffer1.duration;
-            const dur2 = buffer2.duration;
-            const durationMatch = 1 - Math.abs(dur1 - dur2) / Math.max(dur1, dur2);
-            
-            // === WEIGHTED COMBINATION (per spec) ===
-            const rawScore = (
-                mfccSimilarity * 0.35 +      // MFCC (timbre)
-                pitchMatch * 0.25 +          // Pitch contour
-                envelopeMatch * 0.15 +       // Envelope/dynamics
-                spectralMatch * 0.10 +       // Spectral centroid
-                energyMatch * 0.10 +         // Energy/loudness
-                durationMatch * 0.05         // Duration
-            );
-            
-            // Apply aggressive curve to spread scores across full range
-            // This amplifies differences: good matches stay high, poor matches drop significantly
-            let adjustedScore;
-            if (rawScore > 0.7) {
-                // High similarity: gentle curve (70-100% stays high)
-                adjustedScore = 50 + (rawScore - 0.7) * 166.67; // Maps 0.7-1.0 to 50-100
-            } else if (rawScore > 0.4) {
-                // Medium similarity: moderate curve (40-70% spreads to 20-50%)
-                adjustedScore = 20 + (rawScore - 0.4) * 100; // Maps 0.4-0.7 to 20-50
-            } else {
-                // Low similarity: harsh curve (0-40% maps to 0-20%)
-                adjustedScore = rawScore * 50; // Maps 0-0.4 to 0-20
-            }
-            
-            // Clamp to valid range (0-100)
-            adjustedScore = Math.max(0, Math.min(100, adjustedScore));
-            
-            const roundedScore = Math.round(adjustedScore);
-            
-            console.log('🎯 [AudioManager] MFCC-Based Scoring Breakdown:');
-            console.log('  🎵 MFCC similarity (timbre):  ' + (mfccSimilarity * 100).toFixed(1) + '% (weight: 35%)');
-            console.log('  🎹 Pitch contour match:       ' + (pitchMatch * 100).toFixed(1) + '% (weight: 25%)');
-            console.log('  📊 Envelope match:            ' + (envelopeMatch * 100).toFixed(1) + '% (weight: 15%)');
-            console.log('  ✨ Spectral centroid:         ' + (spectralMatch * 100).toFixed(1) + '% (weight: 10%)');
-            console.log('  🔊 Energy match:              ' + (energyMatch * 100).toFixed(1) + '% (weight: 10%)');
-            console.log('  ⏱️  Duration match:            ' + (durationMatch * 100).toFixed(1) + '% (weight: 5%)');
-            console.log('  ━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-            console.log('  📊 Raw weighted score:        ' + (rawScore * 100).toFixed(1) + '%');
-            console.log('  📈 After curve adjustment:    ' + adjustedScore.toFixed(1) + '%');
-            console.log('  🏆 Final score:               ' + roundedScore + '%');
-            
-            if (onComplete) {
-                onComplete(roundedScore);
-            }
-        } catch (error) {
-            console.error('❌ [AudioManager] Error comparing audio:', error);
-            console.error(error.stack);
-            if (onComplete) {
-                onComplete(30); // Give a participation score even on error
-            }
+    cancelAnalysis() {
+        const pending = this.pendingAnalysis;
+        if (!pending) return;
+        
+        console.log('🛑 [AudioManager] Cancelling analysis');
+        this.terminateAnalysisWorker();
+        
+        const error = new Error('Analysis cancelled');
+        error.name = 'AbortError';
+        pending.reject(error);
+    }
+    
+    /**
+     * Stop the analysis worker and forget any pending request
+     */
+    terminateAnalysisWorker() {
+        if (this.analysisWorker) {
+            this.analysisWorker.terminate();
+            this.analysisWorker = null;
         }
+        this.pendingAnalysis = null;
     }
     
     /**
-     * Play Player 1's reversed audio
+     * Play Player 1's reversed audio (at the listening speed)
      */
     async playPlayer1Reversed(onComplete) {
         if (this.player1ReversedBuffer) {
-            await this.playAudioBuffer(this.player1ReversedBuffer, onComplete);
+            await this.playAudioBuffer(this.getListenBuffer(), onComplete);
         } else {
             console.error('No reversed audio available');
             if (onComplete) {
@@ -769,22 +2134,55 @@ class AudioManager {
         }
     }
     
+    /**
+     * Throw away a player's take so it can be recorded again
+     * A new original also invalidates the attempt that mimicked the old one.
+     */
+    discardRecording(player) {
+        this.cancelAnalysis();
+        
+        if (player === 1) {
+            this.player1OriginalBuffer = null;
+            this.player1ReversedBuffer = null;
+        }
+        this.player2AttemptBuffer = null;
+        this.player2ReverseForwardBuffer = null;
+        this.lastAlignment = null;
+        this.trimPoints = null;
+        this.lastResult = null;
+    }
+    
     /**
      * Reset all audio data
      */
     reset() {
+        this.cancelAnalysis();
+        
         this.player1OriginalBuffer = null;
         this.player1ReversedBuffer = null;
         this.player2AttemptBuffer = null;
         this.player2ReverseForwardBuffer = null;
+        this.lastAlignment = null;
+        this.trimPoints = null;
+        this.lastResult = null;
         this.isRecording = false;
         this.isPlaying = false;
         this.recordingTime = 0;
         
-        if (this.recordingTimer) {
-            clearInterval(this.recordingTimer);
-            this.recordingTimer = null;
-        }
+        this.stopPlaybackSource();
+        this.playbackState = 'stopped';
+        this.playbackBuffer = null;
+        this.playbackCallback = null;
+        this.playbackPosition = 0;
+        this.playbackLoop = null;
+        this.playbackRange = null;
+        this.slowestListenSpeed = 1;
+        this.stopComparisonSources();
+        this.comparisonPosition = 0;
+        
+        this.discardRecorder();
+        this.stopMicrophonePreview();
+        this.recordingState = 'idle';
     }
 }
 
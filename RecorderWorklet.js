@@ -0,0 +1,86 @@
+/**
+ * RecorderWorklet.js
+ * AudioWorklet processor that captures raw Float32 PCM from the microphone
+ * (loaded by AudioManager.createPCMRecorder)
+ *
+ * Messages in:  { command: 'start', maxFrames }    (maxFrames optional: stop by itself after that many)
+ *               { command: 'limit', maxFrames }    (set/replace the limit while recording)
+ *               { command: 'stop' }
+ * Messages out: { type: 'started', frame, time }   (audio clock of the first captured sample)
+ *               { type: 'chunk', samples, frames } (Float32Array, mono; frames = total captured so far)
+ *               { type: 'stopped', frames, reason } (after the last chunk; reason 'limit' or 'stop')
+ */
+
+class PCMRecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.recording = false;
+        this.batchSize = 4096; // Frames per chunk posted to the main thread
+        this.batch = new Float32Array(this.batchSize);
+        this.filled = 0;
+        this.frames = 0;
+        this.maxFrames = Infinity;
+
+        this.port.onmessage = (event) => {
+            const message = event.data;
+            if (message.command === 'start' && !this.recording) {
+                this.recording = true;
+                this.frames = 0;
+                this.maxFrames = message.maxFrames || Infinity;
+                this.port.postMessage({ type: 'started', frame: currentFrame, time: currentFrame / sampleRate });
+            } else if (message.command === 'limit' && this.recording) {
+                this.maxFrames = message.maxFrames || Infinity;
+            } else if (message.command === 'stop' && this.recording) {
+                this.finish('stop');
+            }
+        };
+    }
+
+    /**
+     * Stop capturing and hand over whatever is left
+     */
+    finish(reason) {
+        this.recording = false;
+        this.flush();
+        this.port.postMessage({ type: 'stopped', frames: this.frames, reason });
+    }
+
+    /**
+     * Post the filled part of the batch (transferred, not copied)
+     */
+    flush() {
+        if (this.filled === 0) return;
+        const samples = this.batch.slice(0, this.filled);
+        this.port.postMessage({ type: 'chunk', samples, frames: this.frames }, [samples.buffer]);
+        this.filled = 0;
+    }
+
+    process(inputs) {
+        if (!this.recording) return true;
+
+        // The node is mono (channelCountMode 'explicit'); no input yet means silence
+        // A limit ends the take on its exact sample, even mid-quantum
+        const input = inputs[0][0];
+        const length = Math.min(input ? input.length : 128, this.maxFrames - this.frames);
+        let offset = 0;
+        while (offset < length) {
+            const count = Math.min(length - offset, this.batchSize - this.filled);
+            if (input) {
+                this.batch.set(input.subarray(offset, offset + count), this.filled);
+            } else {
+                this.batch.fill(0, this.filled, this.filled + count);
+            }
+            this.filled += count;
+            offset += count;
+            this.frames += count;
+            if (this.filled === this.batchSize) this.flush();
+        }
+
+        if (this.frames >= this.maxFrames) {
+            this.finish('limit');
+        }
+        return true;
+    }
+}
+
+registerProcessor('pcm-recorder', PCMRecorderProcessor);
@@ -33,21 +33,36 @@ const prompts = [
 let currentStep = GameStep.PLAYER_NAMES;
 let currentPrompt = "";
 let similarityScore = 0;
+let scoreResult = null; // Full breakdown object from audioManager.compareAudio
 let playerNames = ["", ""]; // Store player names
 let selectedCategory = null; // Selected song category
 let totalRounds = 3;
 let currentRound = 1;
 let currentPlayerIndex = 0; // 0 = Player 1, 1 = Player 2
-let roundScores = []; // Store scores for each round: {round, player, playerIndex, score, prompt}
+let roundScores = []; // Store scores for each round: {round, player, playerIndex, score, result, profile, prompt}
 let turnsCompleted = 0; // Total turns completed (2 turns per round)
+let inputWaveformHistory = []; // Recent {min, max} columns for the scrolling recording waveform
+let waveformPeaks = new WeakMap(); // AudioBuffer -> { columns, peaks } for drawn waveforms
+let playheadFrame = null; // requestAnimationFrame id while the playhead moves
+let phraseTiles = { buffer: null, selected: [] }; // Chunks of the reversed take picked for stringing together
+let comparisonFrame = null; // requestAnimationFrame id while the results comparison plays
 
 // Audio manager instance
 const audioManager = new AudioManager();
 
+// ?virtualMic=sweep-up,sweep-down (or silence, fixture:<url>) replaces the mic
+// with generated audio so the whole game can run without one
+const virtualMicFlag = new URLSearchParams(window.location.search).get('virtualMic');
+if (virtualMicFlag) {
+    audioManager.virtualInputOverride = virtualMicFlag;
+    console.log('🤖 [App] Virtual microphone from URL:', virtualMicFlag);
+}
+
 // DOM elements
 const homeScreen = document.getElementById('homeScreen');
 const gameScreen = document.getElementById('gameScreen');
 const instructionsModal = document.getElementById('instructionsModal');
+const microphoneModal = document.getElementById('microphoneModal');
 const gameContent = document.getElementById('gameContent');
 const progressBar = document.getElementById('progressBar');
 const stepLabel = document.getElementById('stepLabel');
@@ -57,6 +72,9 @@ document.getElementById('startGameBtn').addEventListener('click', startGame);
 document.getElementById('instructionsBtn').addEventListener('click', showInstructions);
 document.getElementById('closeInstructions').addEventListener('click', closeInstructions);
 document.getElementById('exitGameBtn').addEventListener('click', exitGame);
+document.getElementById('microphoneBtn').addEventListener('click', showMicrophoneSettings);
+document.getElementById('gameMicrophoneBtn').addEventListener('click', showMicrophoneSettings);
+document.getElementById('closeMicrophone').addEventListener('click', closeMicrophoneSettings);
 
 // Click outside modal to close
 instructionsModal.addEventListener('click', (e) => {
@@ -64,6 +82,35 @@ instructionsModal.addEventListener('click', (e) => {
         closeInstructions();
     }
 });
+microphoneModal.addEventListener('click', (e) => {
+    if (e.target === microphoneModal) {
+        closeMicrophoneSettings();
+    }
+});
+
+// Transport changes (play, pause, stop, loop) redraw the reverse playback controls
+audioManager.onPlaybackStateChange = () => {
+    if (currentStep === GameStep.REVERSE_PLAYBACK) {
+        renderReversePlayback();
+    }
+};
+
+// The results comparison redraws its own panel (renderResults records the turn)
+audioManager.onComparisonChange = () => {
+    if (currentStep === GameStep.RESULTS) {
+        renderComparisonPlayer();
+    }
+};
+
+// Refresh the picker when inputs come and go; warn if the chosen mic vanished
+audioManager.onDevicesChanged = (devices, lostDeviceLabel) => {
+    if (microphoneModal.classList.contains('active')) {
+        renderMicrophoneSettings();
+    }
+    if (lostDeviceLabel) {
+        alert(`🎙️ ${lostDeviceLabel} was disconnected. Recording will use the default microphone until it's plugged back in.`);
+    }
+};
 
 /**
  * Show instructions modal
@@ -79,6 +126,154 @@ function closeInstructions() {
     instructionsModal.classList.remove('active');
 }
 
+/**
+ * Show microphone settings modal (not while a take is being recorded)
+ */
+function showMicrophoneSettings() {
+    if (audioManager.recordingState !== 'idle') {
+        console.log('⚠️ [App] Recording in progress, microphone settings unavailable');
+        return;
+    }
+    microphoneModal.classList.add('active');
+    renderMicrophoneSettings();
+}
+
+/**
+ * Close microphone settings modal (and stop any loopback preview)
+ */
+function closeMicrophoneSettings() {
+    audioManager.stopMicrophonePreview();
+    microphoneModal.classList.remove('active');
+}
+
+/**
+ * Device picker, processing toggles and loopback test
+ */
+async function renderMicrophoneSettings() {
+    const body = document.getElementById('microphoneSettingsBody');
+    const settings = audioManager.microphoneSettings;
+    const devices = await audioManager.listInputDevices();
+    const isPreviewing = audioManager.previewStream !== null;
+    const hasLabels = devices.some(device => device.label);
+    const toggles = [
+        { key: 'echoCancellation', label: 'Echo cancellation' },
+        { key: 'noiseSuppression', label: 'Noise suppression' },
+        { key: 'autoGainControl', label: 'Automatic gain control' }
+    ];
+    
+    const virtualInputs = [
+        { value: '', label: '🎤 Real microphone' },
+        { value: 'sweep-up', label: '🤖 Virtual: rising sweep' },
+        { value: 'sweep-up,sweep-down', label: '🤖 Virtual: rising sweep, Player 2 sings it backwards' },
+        { value: 'silence', label: '🤖 Virtual: silence' }
+    ];
+    const virtualOverride = audioManager.virtualInputOverride;
+    
+    body.innerHTML = `
+        <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Input source:</label>
+        <select 
+            id="virtualInput" 
+            onchange="updateMicrophoneSetting('virtualInput', this.value)"
+            ${virtualOverride ? 'disabled' : ''}
+            style="width: 100%; padding: 12px; margin-bottom: ${virtualOverride ? '6px' : '20px'}; border: 2px solid #ddd; border-radius: 8px; font-size: 16px; box-sizing: border-box;"
+        >
+            ${virtualInputs.map(input => `
+                <option value="${input.value}" ${settings.virtualInput === input.value ? 'selected' : ''}>${input.label}</option>
+            `).join('')}
+        </select>
+        ${virtualOverride ? `
+            <p style="font-size: 13px; color: #666; margin-bottom: 20px;">Using virtual input "${virtualOverride}" from the ?virtualMic= URL flag.</p>
+        ` : ''}
+        
+        <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #333;">Input device:</label>
+        <select 
+            id="microphoneDevice" 
+            onchange="selectMicrophoneDevice(this)"
+            style="width: 100%; padding: 12px; border: 2px solid #ddd; border-radius: 8px; font-size: 16px; box-sizing: border-box;"
+        >
+            <option value="">System default</option>
+            ${devices.filter(device => device.deviceId && device.deviceId !== 'default').map((device, index) => `
+                <option value="${device.deviceId}" ${settings.deviceId === device.deviceId ? 'selected' : ''}>${device.label || `Microphone ${index + 1}`}</option>
+            `).join('')}
+        </select>
+        ${hasLabels ? '' : `
+            <p style="font-size: 13px; color: #666; margin-top: 6px;">Test the mic once to allow access and see device names.</p>
+        `}
+        
+        <div style="margin: 20px 0;">
+            ${toggles.map(toggle => `
+                <label style="display: flex; align-items: center; gap: 10px; margin-bottom: 10px; color: #333; cursor: pointer;">
+                    <input 
+                        type="checkbox" 
+                        ${settings[toggle.key] ? 'checked' : ''}
+                        onchange="updateMicrophoneSetting('${toggle.key}', this.checked)"
+                        style="width: 20px; height: 20px;"
+                    >
+                    ${toggle.label}
+                </label>
+            `).join('')}
+            <p style="font-size: 13px; color: #666;">Leave these off for the most accurate scoring; turn them on for noisy rooms or laptop speakers.</p>
+        </div>
+        
+        ${isPreviewing ? `
+            ${renderInputMonitor()}
+            <button class="btn btn-red btn-large" onclick="toggleMicrophonePreview()">⏹️ Stop Test</button>
+        ` : `
+            <button class="btn btn-blue btn-large" onclick="toggleMicrophonePreview()">🎧 Test Microphone</button>
+        `}
+        <p style="font-size: 13px; color: #666; margin-top: 6px;">The test plays your mic back live - use headphones to avoid feedback.</p>
+    `;
+}
+
+/**
+ * Save the chosen input device
+ */
+function selectMicrophoneDevice(select) {
+    const option = select.options[select.selectedIndex];
+    updateMicrophoneSetting('deviceId', select.value, select.value ? option.textContent.trim() : '');
+}
+
+/**
+ * Save one microphone setting; restart the preview so it is heard right away
+ */
+async function updateMicrophoneSetting(key, value, deviceLabel) {
+    const changes = { [key]: value };
+    if (key === 'deviceId') changes.deviceLabel = deviceLabel;
+    audioManager.saveMicrophoneSettings(changes);
+    console.log('🎙️ [App] Microphone settings:', audioManager.microphoneSettings);
+    
+    if (audioManager.previewStream) {
+        await startMicrophonePreview();
+    }
+}
+
+/**
+ * Start or stop the loopback preview
+ */
+async function toggleMicrophonePreview() {
+    if (audioManager.previewStream) {
+        audioManager.stopMicrophonePreview();
+        renderMicrophoneSettings();
+    } else {
+        await startMicrophonePreview();
+    }
+}
+
+/**
+ * Start the loopback preview with the level meter attached
+ */
+async function startMicrophonePreview() {
+    try {
+        inputWaveformHistory = [];
+        audioManager.onInputLevel = updateInputMonitor;
+        await audioManager.startMicrophonePreview();
+    } catch (error) {
+        console.error('❌ [App] Microphone test failed:', error);
+        alert('Could not open the microphone: ' + error.message);
+    }
+    renderMicrophoneSettings();
+}
+
 /**
  * Start new game
  */
@@ -90,6 +285,7 @@ function startGame() {
     currentStep = GameStep.PLAYER_NAMES;
     currentPrompt = "";
     similarityScore = 0;
+    scoreResult = null;
     playerNames = ["", ""]; // Reset player names
     selectedCategory = null; // Reset category
     currentRound = 1;
@@ -223,6 +419,85 @@ function renderPlayerNames() {
                     />
                 </div>
                 
+                <div style="margin-bottom: 20px;">
+                    <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #FFFFFF;">Pitch Scoring:</label>
+                    <select 
+                        id="pitchScoringMode" 
+                        style="width: 100%; padding: 12px; border: 2px solid #ddd; border-radius: 8px; font-size: 16px; box-sizing: border-box;"
+                    >
+                        <option value="melody" ${audioManager.pitchScoringMode === 'melody' ? 'selected' : ''}>🎶 Melody shape (any key)</option>
+                        <option value="absolute" ${audioManager.pitchScoringMode === 'absolute' ? 'selected' : ''}>🎯 Absolute pitch (same notes)</option>
+                    </select>
+                </div>
+                
+                <div style="margin-bottom: 20px;">
+                    <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #FFFFFF;">Scoring Profile:</label>
+                    <select 
+                        id="scoringProfile" 
+                        style="width: 100%; padding: 12px; border: 2px solid #ddd; border-radius: 8px; font-size: 16px; box-sizing: border-box;"
+                    >
+                        ${audioManager.getScoringProfiles().map(profile => `
+                            <option value="${profile.id}" ${audioManager.scoringProfileId === profile.id ? 'selected' : ''}>${profile.name} - ${profile.description}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                
+                <div style="margin-bottom: 20px;">
+                    <label style="display: flex; align-items: center; gap: 10px; font-weight: 600; color: #FFFFFF; cursor: pointer;">
+                        <input 
+                            type="checkbox" 
+                            id="normalizeLoudness" 
+                            ${audioManager.normalizeLoudnessEnabled ? 'checked' : ''}
+                            style="width: 20px; height: 20px;"
+                        >
+                        🔊 Level-match both takes before scoring loudness
+                    </label>
+                </div>
+                
+                <div style="margin-bottom: 20px;">
+                    <label style="display: flex; align-items: center; gap: 10px; font-weight: 600; color: #FFFFFF; cursor: pointer;">
+                        <input 
+                            type="checkbox" 
+                            id="countdownEnabled" 
+                            ${audioManager.countdownEnabled ? 'checked' : ''}
+                            style="width: 20px; height: 20px;"
+                        >
+                        ⏳ 3-2-1 countdown before recording
+                    </label>
+                </div>
+                
+                <div style="margin-bottom: 20px;">
+                    <label style="display: flex; align-items: center; gap: 10px; font-weight: 600; color: #FFFFFF; cursor: pointer;">
+                        <input 
+                            type="checkbox" 
+                            id="voiceTriggerEnabled" 
+                            ${audioManager.voiceTriggerEnabled ? 'checked' : ''}
+                            style="width: 20px; height: 20px;"
+                        >
+                        🗣️ Voice-activated: start when you sing, stop after
+                    </label>
+                    <select 
+                        id="trailingSilenceDuration" 
+                        style="width: 100%; padding: 12px; margin-top: 8px; border: 2px solid #ddd; border-radius: 8px; font-size: 16px; box-sizing: border-box;"
+                    >
+                        ${[1, 1.5, 2, 3].map(seconds => `
+                            <option value="${seconds}" ${audioManager.trailingSilenceDuration === seconds ? 'selected' : ''}>${seconds} seconds of silence</option>
+                        `).join('')}
+                    </select>
+                </div>
+                
+                <div style="margin-bottom: 20px;">
+                    <label style="display: flex; align-items: center; gap: 10px; font-weight: 600; color: #FFFFFF; cursor: pointer;">
+                        <input 
+                            type="checkbox" 
+                            id="slowListeningAllowed" 
+                            ${audioManager.slowListeningAllowed ? 'checked' : ''}
+                            style="width: 20px; height: 20px;"
+                        >
+                        🐢 Allow slow listening (75% / 50% speed)
+                    </label>
+                </div>
+                
                 <div id="nameError" style="color: #e74c3c; margin-bottom: 15px; display: none; font-weight: 600;">
                     Please enter both player names!
                 </div>
@@ -261,8 +536,17 @@ function submitPlayerNames() {
     
     playerNames[0] = name1;
     playerNames[1] = name2;
+    audioManager.pitchScoringMode = document.getElementById('pitchScoringMode').value;
+    audioManager.setScoringProfile(document.getElementById('scoringProfile').value);
+    audioManager.normalizeLoudnessEnabled = document.getElementById('normalizeLoudness').checked;
+    audioManager.countdownEnabled = document.getElementById('countdownEnabled').checked;
+    audioManager.voiceTriggerEnabled = document.getElementById('voiceTriggerEnabled').checked;
+    audioManager.trailingSilenceDuration = parseFloat(document.getElementById('trailingSilenceDuration').value);
+    audioManager.slowListeningAllowed = document.getElementById('slowListeningAllowed').checked;
     
     console.log('✅ Player names set:', playerNames);
+    console.log('🎶 Pitch scoring mode:', audioManager.pitchScoringMode);
+    console.log('⚖️ Scoring profile:', audioManager.getScoringProfile().name);
     nextStep();
 }
 
@@ -428,20 +712,18 @@ function renderPlayer1Recording() {
             <p class="step-description">${currentPrompt}</p>
             
             <div class="recording-container">
-                ${isRecording ? `
-                    <div class="timer-display">
-                        <div class="timer-value" id="timerValue">${audioManager.recordingTime.toFixed(1)}</div>
-                        <div class="timer-label">seconds</div>
-                    </div>
-                    <div class="waveform" id="waveform">
-                        ${Array(20).fill(0).map(() => '<div class="waveform-bar"></div>').join('')}
-                    </div>
-                ` : `
-                    <div class="icon-large">🎤</div>
-                `}
+                ${renderRecordingStatus()}
             </div>
             
-            ${isRecording ? `
+            ${audioManager.recordingState === 'countdown' ? `
+                <button class="btn btn-white btn-large" onclick="cancelPlayer1Recording()">
+                    Cancel
+                </button>
+            ` : audioManager.recordingState === 'armed' ? `
+                <button class="btn btn-red btn-large" onclick="cancelPlayer1Recording()">
+                    Cancel Waiting
+                </button>
+            ` : isRecording ? `
                 <button class="btn btn-red btn-large" onclick="stopPlayer1Recording()">
                     Stop Recording
                 </button>
@@ -449,9 +731,10 @@ function renderPlayer1Recording() {
                 <button class="btn btn-blue btn-large" onclick="startPlayer1Recording()">
                     Start Recording
                 </button>
+                ${renderClipUpload(1)}
             `}
             
-            <p class="helper-text">Max 10 seconds - sing the prompt!</p>
+            <p class="helper-text">Max 10 seconds - sing the prompt, or upload a WAV, MP3, OGG or WebM clip!</p>
         </div>
     `;
 }
@@ -460,8 +743,8 @@ function renderPlayer1Recording() {
  * Start Player 1 recording
  */
 function startPlayer1Recording() {
-    // Prevent double-clicking
-    if (audioManager.isRecording) {
+    // Prevent double-clicking (also during the countdown)
+    if (audioManager.isRecording || audioManager.recordingState !== 'idle') {
         console.log('⚠️ [App] Recording already in progress, ignoring duplicate call');
         return;
     }
@@ -476,30 +759,58 @@ function startPlayer1Recording() {
         }
     };
     
-    audioManager.startRecording(1, (buffer) => {
+    watchRecording(renderPlayer1Recording);
+    
+    audioManager.startRecording(1, (buffer, message) => {
         console.log('🎮 [App] Player 1 recording callback, buffer:', buffer);
         if (buffer) {
             console.log('✅ [App] Player 1 recording successful, moving to next step');
             nextStep();
         } else {
             console.error('❌ [App] Player 1 recording failed');
-            alert('Failed to record audio. Please try again.');
+            alert(message || 'Failed to record audio. Please try again.');
             renderPlayer1Recording();
         }
     });
+}
+
+/**
+ * "Upload a clip" button (and its hidden file input) for a recording step
+ */
+function renderClipUpload(player) {
+    return `
+        <input 
+            type="file" 
+            id="clipUpload" 
+            accept="${audioManager.getImportAccept()}" 
+            style="display: none;" 
+            onchange="importClip(${player}, this)"
+        >
+        <button class="btn btn-white btn-large" onclick="document.getElementById('clipUpload').click()">
+            📁 Upload a Clip
+        </button>
+    `;
+}
+
+/**
+ * Use the chosen file as this step's take, then continue as if it were recorded
+ */
+async function importClip(player, input) {
+    const file = input.files[0];
+    if (!file) return;
     
-    // Poll until recording starts, then render with timer UI
-    const checkRecordingStarted = () => {
-        if (audioManager.isRecording) {
-            console.log('✅ [App] Recording started, rendering timer UI');
-            renderPlayer1Recording();
-            updateRecordingTimer(); // Start the single timer loop
-        } else {
-            // Check again in 50ms
-            setTimeout(checkRecordingStarted, 50);
+    try {
+        const imported = await audioManager.importRecording(player, file);
+        if (imported.trimmed) {
+            alert(`That clip is ${imported.originalDuration.toFixed(1)} seconds long - only the first ${audioManager.maxRecordingDuration} seconds will be used.`);
         }
-    };
-    setTimeout(checkRecordingStarted, 100);
+        console.log('✅ [App] Player ' + player + ' clip imported, moving to next step');
+        nextStep();
+    } catch (error) {
+        console.error('❌ [App] Clip import failed:', error);
+        alert(error.message);
+        input.value = '';
+    }
 }
 
 /**
@@ -510,54 +821,473 @@ function stopPlayer1Recording() {
 }
 
 /**
- * Update recording timer (only updates display, doesn't re-render)
+ * Abandon Player 1's countdown or armed take without keeping it and stay on this step
  */
-function updateRecordingTimer() {
-    if (audioManager.isRecording) {
-        const timerValue = document.getElementById('timerValue');
-        if (timerValue) {
-            timerValue.textContent = audioManager.recordingTime.toFixed(1);
+function cancelPlayer1Recording() {
+    audioManager.cancelRecording();
+    renderPlayer1Recording();
+}
+
+/**
+ * Middle of the recording views: countdown, armed, recording or idle
+ */
+function renderRecordingStatus() {
+    switch (audioManager.recordingState) {
+        case 'countdown':
+            return `
+                <div class="timer-display">
+                    <div class="timer-value countdown-value" id="countdownValue">${audioManager.countdownSeconds}</div>
+                    <div class="timer-label">get ready...</div>
+                </div>
+                ${renderInputMonitor()}
+            `;
+        case 'armed':
+            return `
+                <div class="icon-large">👂</div>
+                <div class="timer-label">Listening... start singing within ${audioManager.voiceTriggerTimeout} seconds</div>
+                ${renderInputMonitor()}
+            `;
+        case 'recording':
+            return `
+                <div class="timer-display">
+                    <div class="timer-value" id="timerValue">${audioManager.recordingTime.toFixed(1)}</div>
+                    <div class="timer-label">${audioManager.voiceTriggerEnabled
+                        ? `seconds - stops after ${audioManager.trailingSilenceDuration}s of silence`
+                        : 'seconds'}</div>
+                </div>
+                ${renderInputMonitor()}
+            `;
+        default:
+            return `<div class="icon-large">🎤</div>`;
+    }
+}
+
+/**
+ * Live level meter, scrolling waveform and warning slot for the recording views
+ */
+function renderInputMonitor() {
+    return `
+        <div class="input-monitor">
+            <div class="level-meter">
+                <div class="level-meter-fill" id="levelMeterFill"></div>
+                <div class="level-meter-peak" id="levelMeterPeak"></div>
+            </div>
+            <canvas class="live-waveform" id="liveWaveform" width="300" height="80"></canvas>
+            <div class="input-warning" id="inputWarning"></div>
+        </div>
+    `;
+}
+
+/**
+ * Route countdown, state changes and microphone level frames from
+ * audioManager to a recording view
+ */
+function watchRecording(renderView) {
+    inputWaveformHistory = [];
+    audioManager.onInputLevel = updateInputMonitor;
+    audioManager.onCountdown = (secondsLeft) => {
+        const countdownValue = document.getElementById('countdownValue');
+        if (countdownValue) {
+            countdownValue.textContent = secondsLeft > 0 ? secondsLeft : 'Go!';
+        }
+    };
+    // Re-render when the recorder actually starts (or arms, or counts down);
+    // finishing is handled by the startRecording callback
+    audioManager.onRecordingStateChange = (state) => {
+        if (state === 'recording' || state === 'armed') {
+            console.log('✅ [App] Recorder reported ' + state + ', rendering timer UI');
+        }
+        if (state !== 'idle') renderView();
+    };
+}
+
+/**
+ * Update the meter, waveform and warning from one input level frame
+ * (only touches the monitor elements, doesn't re-render)
+ */
+function updateInputMonitor(frame) {
+    const canvas = document.getElementById('liveWaveform');
+    if (canvas) {
+        inputWaveformHistory.push({ min: frame.min, max: frame.max });
+        if (inputWaveformHistory.length > canvas.width) {
+            inputWaveformHistory.shift();
+        }
+        drawLiveWaveform(canvas);
+    }
+    
+    // Meter spans -60 dBFS (empty) to 0 dBFS (full)
+    const toPercent = db => Math.max(0, Math.min(100, (db + 60) / 60 * 100));
+    const fill = document.getElementById('levelMeterFill');
+    if (fill) {
+        fill.style.width = toPercent(frame.rmsDb) + '%';
+        fill.className = 'level-meter-fill' + (frame.clipping ? ' clipping' : frame.peakDb > -6 ? ' hot' : '');
+    }
+    const peak = document.getElementById('levelMeterPeak');
+    if (peak) {
+        peak.style.left = toPercent(frame.peakDb) + '%';
+    }
+    
+    const warning = document.getElementById('inputWarning');
+    if (warning) {
+        if (frame.clipping) {
+            warning.textContent = '🔴 Clipping! Back off the mic or sing a little softer';
+            warning.className = 'input-warning clipping';
+        } else if (frame.tooQuiet) {
+            warning.textContent = '🔇 Too quiet - we can barely hear you. Move closer to the mic';
+            warning.className = 'input-warning quiet';
+        } else {
+            warning.textContent = '';
+            warning.className = 'input-warning';
         }
-        
-        setTimeout(updateRecordingTimer, 100);
     }
 }
 
+/**
+ * Draw the recent input history, newest column on the right
+ */
+function drawLiveWaveform(canvas) {
+    const ctx = canvas.getContext('2d');
+    const mid = canvas.height / 2;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#ff4444';
+    
+    const offset = canvas.width - inputWaveformHistory.length;
+    inputWaveformHistory.forEach((column, x) => {
+        const top = mid - column.max * mid;
+        const height = Math.max(1, (column.max - column.min) * mid);
+        ctx.fillRect(offset + x, top, 1, height);
+    });
+}
+
 /**
  * Step 3: Reverse Playback
  */
 function renderReversePlayback() {
-    const isPlaying = audioManager.isPlaying;
-    const hasReversed = audioManager.player1ReversedBuffer !== null;
+    const buffer = audioManager.getListenBuffer();
+    const hasReversed = buffer !== null;
+    const isCurrent = hasReversed && audioManager.playbackBuffer === buffer;
+    const isPlaying = isCurrent && audioManager.playbackState === 'playing';
+    const isPaused = isCurrent && audioManager.playbackState === 'paused';
+    const loop = isCurrent ? audioManager.playbackLoop : null;
+    const segments = hasReversed ? audioManager.getPhraseSegments() : [];
+    if (phraseTiles.buffer !== audioManager.player1ReversedBuffer) {
+        phraseTiles = { buffer: audioManager.player1ReversedBuffer, selected: [] };
+    }
     
     gameContent.innerHTML = `
         <div class="step-view">
             <div class="step-title">🔄 Reversed Audio</div>
             <p class="step-description">Listen to Player 1's recording... backwards!</p>
             
-            ${isPlaying ? `
-                <div class="playing-animation">
-                    <div class="dot"></div>
-                    <div class="dot"></div>
-                    <div class="dot"></div>
-                    <div class="dot"></div>
-                    <div class="dot"></div>
+            ${hasReversed ? `
+                <div class="transport">
+                    <canvas class="playback-waveform" id="playbackWaveform" width="600" height="100"></canvas>
+                    <div class="transport-info">
+                        <span id="playbackTime">${formatPlaybackTime(isCurrent ? audioManager.getPlaybackPosition() : 0, buffer.duration)}</span>
+                        ${loop ? `<span>🔁 Looping ${loop.start.toFixed(1)}s – ${loop.end.toFixed(1)}s</span>` : ''}
+                    </div>
                 </div>
             ` : `
                 <div class="icon-large">🔊</div>
             `}
             
-            <button class="btn btn-purple btn-large" onclick="playPlayer1Reversed()" ${isPlaying ? 'disabled' : ''}>
-                ${isPlaying ? 'Playing...' : '▶️ Play Reversed'}
-            </button>
+            ${segments.length > 1 ? `
+                <div class="phrase-tiles">
+                    ${segments.map((segment, i) => `
+                        <button class="phrase-tile ${phraseTiles.selected.includes(i) ? 'selected' : ''}" id="phraseTile${i}" onclick="playPhraseTile(${i})" title="${segment.startTime.toFixed(1)}s – ${segment.endTime.toFixed(1)}s">
+                            ${i + 1}
+                        </button>
+                    `).join('')}
+                </div>
+                ${phraseTiles.selected.length > 1 ? `
+                    <div class="phrase-tile-actions">
+                        <button class="btn btn-white" onclick="playSelectedPhraseTiles()">
+                            🔗 Play ${formatTileList(phraseTiles.selected)} together
+                        </button>
+                        <button class="btn btn-white" onclick="clearPhraseTiles()">
+                            Clear
+                        </button>
+                    </div>
+                ` : ''}
+            ` : ''}
+            
+            ${hasReversed && audioManager.slowListeningAllowed ? `
+                <div class="speed-selector">
+                    ${audioManager.listenSpeeds.map(speed => `
+                        <button class="speed-option ${audioManager.listenSpeed === speed ? 'active' : ''}" onclick="setReverseListenSpeed(${speed})">
+                            ${speed === 1 ? '🐇' : '🐢'} ${Math.round(speed * 100)}%
+                        </button>
+                    `).join('')}
+                </div>
+            ` : ''}
+            
+            ${isPlaying ? `
+                <button class="btn btn-purple btn-large" onclick="audioManager.pausePlayback()">
+                    ⏸️ Pause
+                </button>
+            ` : isPaused ? `
+                <button class="btn btn-purple btn-large" onclick="audioManager.resumePlayback()">
+                    ▶️ Resume
+                </button>
+            ` : `
+                <button class="btn btn-purple btn-large" onclick="playPlayer1Reversed()">
+                    ▶️ Play Reversed
+                </button>
+            `}
+            
+            ${isPlaying || isPaused ? `
+                <button class="btn btn-white btn-large" onclick="audioManager.stopPlayback()">
+                    ⏹️ Stop
+                </button>
+            ` : ''}
+            
+            ${loop ? `
+                <button class="btn btn-white btn-large" onclick="audioManager.clearPlaybackLoop()">
+                    Clear Loop
+                </button>
+            ` : ''}
             
             ${hasReversed ? `
-                <button class="btn btn-white btn-large" onclick="nextStep()">
+                <button class="btn btn-white btn-large" onclick="finishReversePlayback()">
                     Player 2 Ready →
                 </button>
+                <p class="helper-text">Tap the waveform to jump there, or drag across it to loop a section.${segments.length > 1 ? ' Tap a numbered chunk to hear it alone; chunks you\'ve heard can be played together.' : ''}</p>
             ` : ''}
         </div>
     `;
+    
+    if (hasReversed) {
+        setupPlaybackWaveform(document.getElementById('playbackWaveform'), buffer);
+    }
+}
+
+/**
+ * Switch the reversed take to another speed (rendered on first use)
+ */
+function setReverseListenSpeed(speed) {
+    audioManager.setListenSpeed(speed);
+    renderReversePlayback();
+}
+
+/**
+ * "1.2s / 3.4s"
+ */
+function formatPlaybackTime(position, duration) {
+    return `${position.toFixed(1)}s / ${duration.toFixed(1)}s`;
+}
+
+/**
+ * Draw the reversed take with its loop region and playhead, keep the
+ * playhead moving while it plays, and turn taps/drags into seek/loop
+ */
+function setupPlaybackWaveform(canvas, buffer) {
+    if (playheadFrame) {
+        cancelAnimationFrame(playheadFrame);
+        playheadFrame = null;
+    }
+    const peaks = getWaveformPeaks(buffer, canvas.width);
+    
+    const toTime = (clientX) => {
+        const rect = canvas.getBoundingClientRect();
+        const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+        return fraction * buffer.duration;
+    };
+    let drag = null; // { startX, start, end } while the pointer is down
+    
+    // Chunk times are in the full-speed take; the buffer may be stretched
+    const scale = 1 / audioManager.getListenSpeed();
+    const segments = audioManager.getPhraseSegments();
+    const cuts = segments.slice(1).map(segment => segment.startTime * scale);
+    
+    const draw = () => {
+        const isCurrent = audioManager.playbackBuffer === buffer;
+        const position = isCurrent ? audioManager.getPlaybackPosition() : 0;
+        const region = drag && drag.end !== null
+            ? { start: Math.min(drag.start, drag.end), end: Math.max(drag.start, drag.end) }
+            : (isCurrent ? audioManager.playbackLoop : null);
+        drawPlaybackWaveform(canvas, peaks, buffer.duration, position, region, cuts);
+        
+        // Light up the chunk under the playhead
+        const playing = isCurrent && audioManager.playbackState === 'playing';
+        segments.forEach((segment, i) => {
+            const tile = document.getElementById(`phraseTile${i}`);
+            if (tile) {
+                tile.classList.toggle('playing', playing && position >= segment.startTime * scale && position < segment.endTime * scale);
+            }
+        });
+        
+        const timeLabel = document.getElementById('playbackTime');
+        if (timeLabel) {
+            timeLabel.textContent = formatPlaybackTime(position, buffer.duration);
+        }
+    };
+    
+    const tick = () => {
+        if (!canvas.isConnected) {
+            playheadFrame = null;
+            return;
+        }
+        draw();
+        playheadFrame = audioManager.playbackState === 'playing' || drag ? requestAnimationFrame(tick) : null;
+    };
+    
+    canvas.addEventListener('pointerdown', (e) => {
+        canvas.setPointerCapture(e.pointerId);
+        drag = { startX: e.clientX, start: toTime(e.clientX), end: null };
+        if (!playheadFrame) tick();
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        if (drag.end !== null || Math.abs(e.clientX - drag.startX) > 4) {
+            drag.end = toTime(e.clientX);
+        }
+    });
+    canvas.addEventListener('pointerup', (e) => {
+        if (!drag) return;
+        const { start, end } = drag;
+        drag = null;
+        if (end === null) {
+            seekReversePlayback(start);
+        } else {
+            loopReversePlayback(Math.min(start, end), Math.max(start, end));
+        }
+    });
+    canvas.addEventListener('pointercancel', () => {
+        drag = null;
+    });
+    
+    tick();
+}
+
+/**
+ * Min/max columns of a buffer's mono mix, cached per buffer and width
+ */
+function getWaveformPeaks(buffer, columns) {
+    const cached = waveformPeaks.get(buffer);
+    if (cached && cached.columns === columns) {
+        return cached.peaks;
+    }
+    
+    const mono = audioManager.downmixToMono(
+        Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c))
+    );
+    const peaks = audioManager.computeWaveformPeaks(mono, columns);
+    waveformPeaks.set(buffer, { columns, peaks });
+    return peaks;
+}
+
+/**
+ * Waveform bars (played part brighter), chunk dividers, loop region and playhead
+ */
+function drawPlaybackWaveform(canvas, peaks, duration, position, region, cuts = []) {
+    const ctx = canvas.getContext('2d');
+    const toX = (time) => (time / duration) * canvas.width;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    if (region) {
+        ctx.fillStyle = 'rgba(255, 215, 0, 0.3)';
+        ctx.fillRect(toX(region.start), 0, toX(region.end) - toX(region.start), canvas.height);
+    }
+    
+    const playheadX = toX(position);
+    drawWaveformBars(ctx, peaks, canvas.width, canvas.height, playheadX);
+    
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    cuts.forEach(time => ctx.fillRect(toX(time), 0, 1, canvas.height));
+    
+    ctx.fillStyle = '#ffd700';
+    ctx.fillRect(Math.min(playheadX, canvas.width - 2), 0, 2, canvas.height);
+}
+
+/**
+ * Min/max bars across width pixels, brighter left of playedX
+ */
+function drawWaveformBars(ctx, peaks, width, height, playedX) {
+    const mid = height / 2;
+    const columnWidth = width / peaks.length;
+    peaks.forEach((column, i) => {
+        const x = i * columnWidth;
+        ctx.fillStyle = x < playedX ? '#ffffff' : 'rgba(255, 255, 255, 0.5)';
+        const top = mid - column.max * mid;
+        const barHeight = Math.max(1, (column.max - column.min) * mid);
+        ctx.fillRect(x, top, Math.max(1, columnWidth), barHeight);
+    });
+}
+
+/**
+ * Tap on the waveform: play from there
+ */
+async function seekReversePlayback(time) {
+    audioManager.loadPlayback(audioManager.getListenBuffer());
+    const loop = audioManager.playbackLoop;
+    if (loop && (time < loop.start || time >= loop.end)) {
+        audioManager.clearPlaybackLoop();
+    }
+    audioManager.seekPlayback(time);
+    if (audioManager.playbackState !== 'playing') {
+        await audioManager.resumePlayback(renderReversePlayback);
+    }
+}
+
+/**
+ * Drag across the waveform: loop that section
+ */
+async function loopReversePlayback(start, end) {
+    audioManager.loadPlayback(audioManager.getListenBuffer());
+    audioManager.setPlaybackLoop(start, end);
+    if (audioManager.playbackState !== 'playing') {
+        await audioManager.resumePlayback(renderReversePlayback);
+    }
+}
+
+/**
+ * Play one chunk of the reversed take and add it to the selection
+ */
+function playPhraseTile(index) {
+    if (!phraseTiles.selected.includes(index)) {
+        phraseTiles.selected.push(index);
+        phraseTiles.selected.sort((a, b) => a - b);
+    }
+    audioManager.playPhraseSegments([index], renderReversePlayback);
+}
+
+/**
+ * String the selected chunks together
+ */
+function playSelectedPhraseTiles() {
+    audioManager.playPhraseSegments(phraseTiles.selected, renderReversePlayback);
+}
+
+/**
+ * Start picking chunks again
+ */
+function clearPhraseTiles() {
+    phraseTiles.selected = [];
+    renderReversePlayback();
+}
+
+/**
+ * [0, 1, 2, 4] -> "1–3 + 5"
+ */
+function formatTileList(indices) {
+    const runs = [];
+    indices.forEach(index => {
+        const last = runs[runs.length - 1];
+        if (last && last[1] === index - 1) {
+            last[1] = index;
+        } else {
+            runs.push([index, index]);
+        }
+    });
+    return runs.map(([first, last]) => (first === last ? `${first + 1}` : `${first + 1}–${last + 1}`)).join(' + ');
+}
+
+/**
+ * Stop any loop still playing before Player 2 records
+ */
+function finishReversePlayback() {
+    audioManager.stopPlayback();
+    nextStep();
 }
 
 /**
@@ -576,7 +1306,7 @@ function playPlayer1Reversed() {
         
         audioManager.reversePlayer1((buffer) => {
             if (buffer) {
-                audioManager.playAudioBuffer(buffer, () => {
+                audioManager.playPlayer1Reversed(() => {
                     renderReversePlayback();
                 });
                 renderReversePlayback();
@@ -612,20 +1342,18 @@ function renderPlayer2Recording() {
             <p class="step-description">Mimic the reversed audio you just heard!</p>
             
             <div class="recording-container">
-                ${isRecording ? `
-                    <div class="timer-display">
-                        <div class="timer-value" id="timerValue">${audioManager.recordingTime.toFixed(1)}</div>
-                        <div class="timer-label">seconds</div>
-                    </div>
-                    <div class="waveform" id="waveform">
-                        ${Array(20).fill(0).map(() => '<div class="waveform-bar"></div>').join('')}
-                    </div>
-                ` : `
-                    <div class="icon-large">🎤</div>
-                `}
+                ${renderRecordingStatus()}
             </div>
             
-            ${isRecording ? `
+            ${audioManager.recordingState === 'countdown' ? `
+                <button class="btn btn-white btn-large" onclick="cancelPlayer2Recording()">
+                    Cancel
+                </button>
+            ` : audioManager.recordingState === 'armed' ? `
+                <button class="btn btn-red btn-large" onclick="cancelPlayer2Recording()">
+                    Cancel Waiting
+                </button>
+            ` : isRecording ? `
                 <button class="btn btn-red btn-large" onclick="stopPlayer2Recording()">
                     Stop Recording
                 </button>
@@ -633,6 +1361,7 @@ function renderPlayer2Recording() {
                 <button class="btn btn-green btn-large" onclick="startPlayer2Recording()">
                     Start Recording
                 </button>
+                ${renderClipUpload(2)}
             `}
             
             <p class="helper-text">Max 10 seconds - try to match what you heard!</p>
@@ -644,8 +1373,8 @@ function renderPlayer2Recording() {
  * Start Player 2 recording
  */
 function startPlayer2Recording() {
-    // Prevent double-clicking
-    if (audioManager.isRecording) {
+    // Prevent double-clicking (also during the countdown)
+    if (audioManager.isRecording || audioManager.recordingState !== 'idle') {
         console.log('⚠️ [App] Recording already in progress, ignoring duplicate call');
         return;
     }
@@ -659,30 +1388,19 @@ function startPlayer2Recording() {
         }
     };
     
-    audioManager.startRecording(2, (buffer) => {
+    watchRecording(renderPlayer2Recording);
+    
+    audioManager.startRecording(2, (buffer, message) => {
         console.log('🎮 [App] Player 2 recording callback, buffer:', buffer);
         if (buffer) {
             console.log('✅ [App] Player 2 recording successful, moving to next step');
             nextStep();
         } else {
             console.error('❌ [App] Player 2 recording failed');
-            alert('Failed to record audio. Please try again.');
+            alert(message || 'Failed to record audio. Please try again.');
             renderPlayer2Recording();
         }
     });
-    
-    // Poll until recording starts, then render with timer UI
-    const checkRecordingStarted = () => {
-        if (audioManager.isRecording) {
-            console.log('✅ [App] Player 2 recording started, rendering timer UI');
-            renderPlayer2Recording();
-            updateRecordingTimer(); // Start the single timer loop
-        } else {
-            // Check again in 50ms
-            setTimeout(checkRecordingStarted, 50);
-        }
-    };
-    setTimeout(checkRecordingStarted, 100);
 }
 
 /**
@@ -692,6 +1410,14 @@ function stopPlayer2Recording() {
     audioManager.stopRecording();
 }
 
+/**
+ * Abandon Player 2's countdown or armed take without keeping it and stay on this step
+ */
+function cancelPlayer2Recording() {
+    audioManager.cancelRecording();
+    renderPlayer2Recording();
+}
+
 /**
  * Step 5: Reverse Player 2
  */
@@ -768,13 +1494,63 @@ function evaluatePerformance() {
     currentStep = GameStep.EVALUATION;
     renderEvaluation();
     
-    setTimeout(() => {
-        audioManager.compareAudio((score) => {
-            similarityScore = score;
-            currentStep = GameStep.RESULTS;
-            renderResults();
-        });
-    }, 1000);
+    audioManager.compareAudioInWorker({
+        onProgress: updateEvaluationProgress
+    }).then((result) => {
+        scoreResult = result;
+        if (result.verdict !== 'ok') {
+            // Nothing worth scoring - no points, offer a retake instead
+            console.warn('⚠️ [App] Round not scored:', result.verdict, result.verdictMessage);
+            renderVerdict(result);
+            return;
+        }
+        similarityScore = result.score;
+        currentStep = GameStep.RESULTS;
+        renderResults();
+    }).catch((error) => {
+        if (error.name === 'AbortError') {
+            console.log('🛑 [App] Evaluation cancelled');
+            return;
+        }
+        console.error('❌ [App] Evaluation failed:', error);
+    });
+}
+
+/**
+ * Cancel a running evaluation and go back to the reverse step
+ */
+function cancelEvaluation() {
+    audioManager.cancelAnalysis();
+    currentStep = GameStep.REVERSE_PLAYER2;
+    renderStep();
+}
+
+/**
+ * Show analysis progress reported by the worker
+ */
+function updateEvaluationProgress(stage, progress) {
+    const stageLabels = {
+        resampling: 'Preparing recordings...',
+        validating: 'Checking recordings...',
+        trimming: 'Trimming silence...',
+        timbre: 'Comparing timbre...',
+        alignment: 'Lining up the takes...',
+        pitch: 'Tracking pitch...',
+        envelope: 'Comparing dynamics...',
+        spectrum: 'Comparing brightness...',
+        rhythm: 'Checking the rhythm...',
+        scoring: 'Calculating score...',
+        done: 'Done!'
+    };
+    
+    const stageText = document.getElementById('evaluationStage');
+    const progressFill = document.getElementById('evaluationProgress');
+    if (stageText) {
+        stageText.textContent = stageLabels[stage] || 'Comparing recordings...';
+    }
+    if (progressFill) {
+        progressFill.style.width = `${Math.round(progress * 100)}%`;
+    }
 }
 
 /**
@@ -788,11 +1564,60 @@ function renderEvaluation() {
         <div class="step-view">
             <div class="step-title">⏳ Analyzing...</div>
             <div class="spinner"></div>
-            <p class="step-description">Comparing recordings...</p>
+            <p class="step-description" id="evaluationStage">Comparing recordings...</p>
+            <div class="progress-container" style="max-width: 300px; margin: 0 auto 30px;">
+                <div class="progress-bar" id="evaluationProgress"></div>
+            </div>
+            <button class="btn btn-white btn-large" onclick="cancelEvaluation()">
+                Cancel
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Shown instead of a score when a take is silent, clipped or analysis failed
+ * (a failed analysis is nobody's fault: both takes are kept and only
+ * scoring is retried)
+ */
+function renderVerdict(result) {
+    const retakeIndex = result.retakePlayer === 1 ? currentPlayerIndex : 1 - currentPlayerIndex;
+    const retakePlayer = playerNames[retakeIndex] || `Player ${retakeIndex + 1}`;
+    const titles = {
+        'no-attempt': '🤫 No attempt detected',
+        'clipped': '📢 Recording clipped',
+        'analysis-failed': '⚠️ Analysis failed'
+    };
+    
+    gameContent.innerHTML = `
+        <div class="step-view">
+            <div class="step-title">${titles[result.verdict] || '⚠️ Not scored'}</div>
+            <p class="step-description">${result.verdictMessage}</p>
+            ${result.retakePlayer ? `
+                <p class="helper-text">No points this time - ${retakePlayer}, give it another go!</p>
+                
+                <button class="btn btn-gradient btn-large" onclick="retakeRecording(${result.retakePlayer})">
+                    🎤 Retake ${retakePlayer}'s Recording
+                </button>
+            ` : `
+                <button class="btn btn-white btn-large" onclick="evaluatePerformance()">
+                    Try Scoring Again
+                </button>
+            `}
         </div>
     `;
 }
 
+/**
+ * Throw away a take and go back to record it again
+ */
+function retakeRecording(player) {
+    audioManager.discardRecording(player);
+    scoreResult = null;
+    currentStep = player === 1 ? GameStep.PLAYER1_RECORDING : GameStep.PLAYER2_RECORDING;
+    renderStep();
+}
+
 /**
  * Step 7: Results
  */
@@ -818,7 +1643,10 @@ function renderResults() {
         player: activePlayer,
         playerIndex: currentPlayerIndex,
         score: similarityScore,
-        prompt: currentPrompt
+        result: scoreResult,
+        profile: scoreResult ? scoreResult.profile.name : null,
+        prompt: currentPrompt,
+        listenSpeed: audioManager.slowestListenSpeed
     });
     
     console.log('🎉 [App] Stored score for turn', turnNumber, ':', roundScores[roundScores.length - 1]);
@@ -852,7 +1680,7 @@ function renderResults() {
                         <div style="font-weight: 700; color: white; margin-bottom: 8px;">${playerNames[0] || 'Player 1'}</div>
                         ${player1Scores.map(r => `
                             <div style="display: flex; justify-content: space-between; padding: 3px 0; color: rgba(255,255,255,0.8); font-size: 14px;">
-                                <span>Round ${r.round}</span>
+                                <span>Round ${r.round}${r.listenSpeed < 1 ? ` 🐢 ${Math.round(r.listenSpeed * 100)}%` : ''}</span>
                                 <span>${Math.round(r.score)}%</span>
                             </div>
                         `).join('')}
@@ -866,7 +1694,7 @@ function renderResults() {
                         <div style="font-weight: 700; color: white; margin-bottom: 8px;">${playerNames[1] || 'Player 2'}</div>
                         ${player2Scores.map(r => `
                             <div style="display: flex; justify-content: space-between; padding: 3px 0; color: rgba(255,255,255,0.8); font-size: 14px;">
-                                <span>Round ${r.round}</span>
+                                <span>Round ${r.round}${r.listenSpeed < 1 ? ` 🐢 ${Math.round(r.listenSpeed * 100)}%` : ''}</span>
                                 <span>${Math.round(r.score)}%</span>
                             </div>
                         `).join('')}
@@ -916,6 +1744,16 @@ function renderResults() {
             <div class="performance-message">${performanceData.message}</div>
             <p class="performance-description">${performanceData.description}</p>
             
+            ${renderScoreBreakdown(scoreResult)}
+            
+            <div class="pitch-view" id="pitchView"></div>
+            
+            <div class="comparison-player" id="comparisonPlayer"></div>
+            
+            ${renderTrimSummary()}
+            
+            ${renderListenSpeedNote()}
+            
             ${scoresHTML}
             
             ${isGameOver ? `
@@ -932,6 +1770,312 @@ function renderResults() {
             `}
         </div>
     `;
+    
+    renderPitchView(scoreResult);
+    renderComparisonPlayer();
+}
+
+/**
+ * Side-by-side player for the original and the reversed-back attempt:
+ * waveforms on one timeline, either take alone, both panned, or A/B switching
+ */
+function renderComparisonPlayer() {
+    const container = document.getElementById('comparisonPlayer');
+    const timeline = audioManager.getComparisonTimeline();
+    if (!container || !timeline) return;
+    
+    const isPlaying = audioManager.comparison !== null;
+    const mode = audioManager.comparisonMode;
+    const originalPlayer = playerNames[currentPlayerIndex] || `Player ${currentPlayerIndex + 1}`;
+    const mimicPlayer = playerNames[1 - currentPlayerIndex] || `Player ${2 - currentPlayerIndex}`;
+    const modes = [
+        { id: 'original', label: `🎤 ${originalPlayer}` },
+        { id: 'attempt', label: `🔄 ${mimicPlayer}` },
+        { id: 'both', label: '🎧 Both (L/R)' }
+    ];
+    
+    container.innerHTML = `
+        <div class="comparison-title">🎧 Compare by ear</div>
+        ${timeline.takes.map(take => `
+            <div class="comparison-track ${mode === 'both' || mode === take.id ? 'active' : ''}">
+                <div class="comparison-label">${take.id === 'original' ? `🎤 ${originalPlayer}'s original` : `🔄 ${mimicPlayer}'s attempt, reversed back`}</div>
+                <canvas class="comparison-waveform" id="comparison-${take.id}" width="600" height="60"></canvas>
+            </div>
+        `).join('')}
+        <div class="transport-info">
+            <span id="comparisonTime">${formatPlaybackTime(audioManager.getComparisonPosition(), timeline.duration)}</span>
+            ${mode === 'both' ? `<span>◀ ${originalPlayer} · ${mimicPlayer} ▶</span>` : ''}
+        </div>
+        <div class="speed-selector">
+            ${modes.map(option => `
+                <button class="speed-option ${mode === option.id ? 'active' : ''}" onclick="audioManager.setComparisonMode('${option.id}')">
+                    ${option.label}
+                </button>
+            `).join('')}
+        </div>
+        <div class="phrase-tile-actions">
+            <button class="btn btn-white" onclick="${isPlaying ? 'audioManager.pauseComparison()' : 'audioManager.playComparison()'}">
+                ${isPlaying ? '⏸️ Pause' : '▶️ Play'}
+            </button>
+            <button class="btn btn-white" onclick="switchComparisonTake()" title="Jump to the other take at the same point">
+                🔀 Switch
+            </button>
+            ${isPlaying || audioManager.comparisonPosition > 0 ? `
+                <button class="btn btn-white" onclick="audioManager.stopComparison()">
+                    ⏹️ Stop
+                </button>
+            ` : ''}
+        </div>
+    `;
+    
+    setupComparisonWaveforms(timeline);
+}
+
+/**
+ * Both takes' spectrograms side by side with the pitch contours on top,
+ * shaded where the attempt matched or missed the original's pitch
+ */
+function renderPitchView(result) {
+    const container = document.getElementById('pitchView');
+    const track = result && result.pitchTrack;
+    if (!container || !track || !audioManager.player1OriginalBuffer || !audioManager.player2ReverseForwardBuffer) return;
+    
+    const originalPlayer = playerNames[currentPlayerIndex] || `Player ${currentPlayerIndex + 1}`;
+    const mimicPlayer = playerNames[1 - currentPlayerIndex] || `Player ${2 - currentPlayerIndex}`;
+    const takes = [
+        { id: 'original', label: `🎤 ${originalPlayer}'s original`, buffer: audioManager.player1OriginalBuffer, frames: track.original, spans: track.regions.map(r => ({ status: r.status, span: r.original })) },
+        { id: 'attempt', label: `🔄 ${mimicPlayer}'s attempt`, buffer: audioManager.player2ReverseForwardBuffer, frames: track.attempt, spans: track.regions.map(r => ({ status: r.status, span: r.attempt })) }
+    ];
+    const secondsOf = (status) => track.regions
+        .filter(region => region.status === status)
+        .reduce((sum, region) => sum + region.original[1] - region.original[0], 0);
+    
+    container.innerHTML = `
+        <div class="comparison-title">🎹 Where the pitch went</div>
+        <div class="pitch-panels">
+            ${takes.map(take => `
+                <div class="pitch-panel">
+                    <div class="comparison-label">${take.label}</div>
+                    <canvas class="pitch-canvas" id="pitch-${take.id}" width="300" height="200"></canvas>
+                </div>
+            `).join('')}
+        </div>
+        <div class="pitch-legend">
+            <span><i class="pitch-swatch own"></i> Own pitch</span>
+            <span><i class="pitch-swatch other"></i> Other take, lined up</span>
+            <span><i class="pitch-swatch match"></i> Within ${track.toleranceCents} cents</span>
+            <span><i class="pitch-swatch miss"></i> Off</span>
+        </div>
+        <div class="breakdown-detail">
+            On pitch for ${secondsOf('match').toFixed(1)}s, off for ${secondsOf('miss').toFixed(1)}s${Math.abs(track.transposition) >= 50 ? ` • dashed lines shifted ${Math.round(Math.abs(track.transposition))} cents to compare the tune, not the key` : ''}
+        </div>
+    `;
+    
+    takes.forEach(take => drawPitchPanel(document.getElementById(`pitch-${take.id}`), take));
+}
+
+/**
+ * One take: log-frequency spectrogram, match/miss shading, then its own
+ * pitch (solid) and the other take's aligned pitch (dashed) in cents
+ */
+function drawPitchPanel(canvas, take) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const buffer = take.buffer;
+    const mono = audioManager.downmixToMono(
+        Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c))
+    );
+    const spectrogram = audioManager.computeSpectrogram(mono, buffer.sampleRate, { columns: width, rows: height / 2 });
+    
+    // Spectrogram (low frequencies at the bottom), dark purple to yellow
+    const image = ctx.createImageData(width, height);
+    for (let y = 0; y < height; y++) {
+        const row = Math.min(spectrogram.rows - 1, Math.floor((height - 1 - y) * spectrogram.rows / height));
+        for (let x = 0; x < width; x++) {
+            const value = spectrogram.values[x * spectrogram.rows + row];
+            const i = (y * width + x) * 4;
+            image.data[i] = 30 + 225 * value;
+            image.data[i + 1] = 10 + 205 * value * value;
+            image.data[i + 2] = 60 + 60 * value;
+            image.data[i + 3] = 255;
+        }
+    }
+    ctx.putImageData(image, 0, 0);
+    
+    const toX = (time) => (time / buffer.duration) * width;
+    const minCents = audioManager.hzToCents(spectrogram.minFrequency);
+    const maxCents = audioManager.hzToCents(spectrogram.maxFrequency);
+    const toY = (cents) => height - ((cents - minCents) / (maxCents - minCents)) * height;
+    
+    // Matched / missed stretches: light tint plus a solid strip along the bottom
+    take.spans.forEach(({ status, span }) => {
+        const x = toX(span[0]);
+        const w = Math.max(1, toX(span[1]) - x);
+        ctx.fillStyle = status === 'match' ? 'rgba(46, 204, 113, 0.18)' : 'rgba(231, 76, 60, 0.22)';
+        ctx.fillRect(x, 0, w, height);
+        ctx.fillStyle = status === 'match' ? '#2ecc71' : '#e74c3c';
+        ctx.fillRect(x, height - 6, w, 6);
+    });
+    
+    const drawContour = (key, style, dash) => {
+        ctx.strokeStyle = style;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        let drawing = false;
+        take.frames.forEach(frame => {
+            const cents = frame[key];
+            if (cents === null) {
+                drawing = false;
+                return;
+            }
+            const x = toX(frame.time);
+            const y = toY(cents);
+            if (drawing) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                drawing = true;
+            }
+        });
+        ctx.stroke();
+    };
+    drawContour('other', 'rgba(255, 255, 255, 0.85)', [4, 3]);
+    drawContour('cents', '#00f2fe', []);
+    ctx.setLineDash([]);
+}
+
+/**
+ * Flip between the two takes without moving the playhead
+ */
+function switchComparisonTake() {
+    audioManager.setComparisonMode(audioManager.comparisonMode === 'original' ? 'attempt' : 'original');
+    if (!audioManager.comparison) {
+        audioManager.playComparison();
+    }
+}
+
+/**
+ * Draw both takes on the shared timeline, animate the playhead, tap to seek
+ */
+function setupComparisonWaveforms(timeline) {
+    if (comparisonFrame) {
+        cancelAnimationFrame(comparisonFrame);
+        comparisonFrame = null;
+    }
+    
+    const tracks = timeline.takes.map(take => {
+        const canvas = document.getElementById(`comparison-${take.id}`);
+        const columns = Math.max(1, Math.round(canvas.width * take.buffer.duration / timeline.duration));
+        return { take, canvas, peaks: getWaveformPeaks(take.buffer, columns) };
+    });
+    
+    const draw = () => {
+        const position = audioManager.getComparisonPosition();
+        tracks.forEach(({ take, canvas, peaks }) => {
+            const ctx = canvas.getContext('2d');
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            // Offset the take by its shift, then reuse the transport's drawing
+            ctx.save();
+            ctx.translate(canvas.width * take.shift / timeline.duration, 0);
+            const width = canvas.width * take.buffer.duration / timeline.duration;
+            drawWaveformBars(ctx, peaks, width, canvas.height, (position - take.shift) / take.buffer.duration * width);
+            ctx.restore();
+            
+            ctx.fillStyle = '#ffd700';
+            ctx.fillRect(Math.min(canvas.width * position / timeline.duration, canvas.width - 2), 0, 2, canvas.height);
+        });
+        
+        const timeLabel = document.getElementById('comparisonTime');
+        if (timeLabel) {
+            timeLabel.textContent = formatPlaybackTime(position, timeline.duration);
+        }
+    };
+    
+    const tick = () => {
+        if (!tracks[0].canvas.isConnected) {
+            comparisonFrame = null;
+            return;
+        }
+        draw();
+        comparisonFrame = audioManager.comparison ? requestAnimationFrame(tick) : null;
+    };
+    
+    tracks.forEach(({ canvas }) => {
+        canvas.addEventListener('click', (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const time = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)) * timeline.duration;
+            if (audioManager.comparison) {
+                audioManager.seekComparison(time);
+            } else {
+                audioManager.playComparison(time);
+            }
+        });
+    });
+    
+    tick();
+}
+
+/**
+ * Render the per-component score breakdown as labelled bars
+ */
+function renderScoreBreakdown(result) {
+    if (!result || result.components.length === 0) return '';
+    
+    return `
+        <div class="score-breakdown">
+            ${result.components.map(c => `
+                <div class="breakdown-row" ${c.detail ? `title="${c.detail}"` : ''}>
+                    <span class="breakdown-label">${c.icon} ${c.label}</span>
+                    <div class="breakdown-bar">
+                        <div class="breakdown-fill" style="width: ${Math.round(c.value * 100)}%"></div>
+                    </div>
+                    <span class="breakdown-value">${Math.round(c.value * 100)}%</span>
+                    <span class="breakdown-weight">×${Math.round(c.weight * 100)}</span>
+                </div>
+            `).join('')}
+            ${result.rhythm ? `
+                <div class="breakdown-detail">🥁 ${result.rhythm.matched} of ${result.rhythm.onsets1} syllable attacks matched, off by ${Math.round(result.rhythm.meanTimingError * 1000)} ms on average</div>
+            ` : ''}
+            <div class="breakdown-total">
+                ${result.profile.name} profile: raw ${Math.round(result.rawScore * 100)}% → ${result.curveStage} curve → ${result.score}%
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Describe how much dead air was trimmed from each take before scoring
+ */
+function renderTrimSummary() {
+    const trimPoints = audioManager.trimPoints;
+    if (!trimPoints) return '';
+    
+    const originalPlayer = playerNames[currentPlayerIndex] || `Player ${currentPlayerIndex + 1}`;
+    const mimicPlayer = playerNames[1 - currentPlayerIndex] || `Player ${2 - currentPlayerIndex}`;
+    const describe = (trim) => `${trim.startTime.toFixed(1)}s – ${trim.endTime.toFixed(1)}s`;
+    
+    return `
+        <p class="helper-text">
+            ✂️ Scored the sung part only: ${originalPlayer} ${describe(trimPoints.original)},
+            ${mimicPlayer} ${describe(trimPoints.attempt)}
+        </p>
+    `;
+}
+
+/**
+ * Say so when the mimic heard the reversed take slowed down
+ */
+function renderListenSpeedNote() {
+    const speed = audioManager.slowestListenSpeed;
+    if (speed === 1) return '';
+    
+    const mimicPlayer = playerNames[1 - currentPlayerIndex] || `Player ${2 - currentPlayerIndex}`;
+    return `
+        <p class="helper-text">
+            🐢 ${mimicPlayer} listened at ${Math.round(speed * 100)}% speed
+        </p>
+    `;
 }
 
 /**
@@ -1010,6 +2154,7 @@ function nextTurn() {
     }
     
     similarityScore = 0;
+    scoreResult = null;
     audioManager.reset();
     
     console.log('🎮 [App] Starting turn', turnsCompleted + 1, 'with prompt:', currentPrompt);
@@ -1023,6 +2168,7 @@ function playAgain() {
     currentStep = GameStep.PLAYER_NAMES;
     currentPrompt = "";
     similarityScore = 0;
+    scoreResult = null;
     playerNames = ["", ""]; // Reset names so players can change if they want
     selectedCategory = null; // Reset category so players can choose a new one
     currentRound = 1;
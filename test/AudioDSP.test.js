@@ -0,0 +1,457 @@
+/**
+ * AudioDSP.test.js
+ * Regression tests for the scoring DSP on synthetic signals
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AudioDSP } = require('../AudioDSP.js');
+
+const SAMPLE_RATE = 22050;
+
+// Deterministic noise (LCG) so scores don't wobble between runs
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+function sine(frequency, duration, amplitude = 0.3, sampleRate = SAMPLE_RATE) {
+    const data = new Float32Array(Math.round(duration * sampleRate));
+    for (let i = 0; i < data.length; i++) {
+        data[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+    return data;
+}
+
+function sweep(startFrequency, endFrequency, duration, amplitude = 0.3) {
+    const data = new Float32Array(Math.round(duration * SAMPLE_RATE));
+    let phase = 0;
+    for (let i = 0; i < data.length; i++) {
+        const frequency = startFrequency + (endFrequency - startFrequency) * (i / data.length);
+        phase += 2 * Math.PI * frequency / SAMPLE_RATE;
+        data[i] = amplitude * Math.sin(phase);
+    }
+    return data;
+}
+
+// A short sung-like phrase: six notes with a harmonic, over a faint noise floor
+function melody(duration, { delay = 0, transpose = 1, seed = 1, sampleRate = SAMPLE_RATE } = {}) {
+    const notes = [220, 247, 262, 294, 330, 294];
+    const random = createRandom(seed);
+    const data = new Float32Array(Math.round(duration * sampleRate));
+    let phase = 0;
+    for (let i = 0; i < data.length; i++) {
+        data[i] = (random() - 0.5) * 0.002;
+        const t = i / sampleRate - delay;
+        const note = Math.floor(t / 0.3);
+        if (t < 0 || note >= notes.length) continue;
+        phase += 2 * Math.PI * notes[note] * transpose / sampleRate;
+        data[i] += 0.3 * Math.sin(phase) + 0.1 * Math.sin(2 * phase);
+    }
+    return data;
+}
+
+function noise(duration, amplitude = 0.1, seed = 7) {
+    const random = createRandom(seed);
+    const data = new Float32Array(Math.round(duration * SAMPLE_RATE));
+    for (let i = 0; i < data.length; i++) {
+        data[i] = (random() * 2 - 1) * amplitude;
+    }
+    return data;
+}
+
+function score(dsp, original, attempt) {
+    return dsp.analyzeRecordings(original, attempt, SAMPLE_RATE);
+}
+
+test('FFT puts a sine in its own bin', () => {
+    const dsp = new AudioDSP();
+    const size = 1024;
+    const real = new Float32Array(size);
+    const imag = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        real[i] = Math.cos(2 * Math.PI * 32 * i / size);
+    }
+    dsp.computeFFT(real, imag);
+    assert.ok(Math.abs(real[32] - size / 2) < 1e-2);
+    assert.ok(Math.abs(real[33]) < 1e-2);
+});
+
+test('reverseSamples reverses and round-trips', () => {
+    const dsp = new AudioDSP();
+    const data = Float32Array.from([1, 2, 3, 4]);
+    assert.deepEqual(Array.from(dsp.reverseSamples(data)), [4, 3, 2, 1]);
+    assert.deepEqual(Array.from(dsp.reverseSamples(dsp.reverseSamples(data))), [1, 2, 3, 4]);
+});
+
+test('pitch tracker finds low, mid and whistle-range tones regardless of loudness', () => {
+    const dsp = new AudioDSP();
+    for (const [frequency, amplitude] of [[70, 0.3], [220, 0.005], [440, 0.8], [1500, 0.2]]) {
+        const contour = dsp.extractPitchContour(sine(frequency, 0.5, amplitude), SAMPLE_RATE);
+        const frame = contour[Math.floor(contour.length / 2)];
+        assert.ok(Math.abs(frame.f0 - frequency) / frequency < 0.01, `${frequency} Hz tracked as ${frame.f0}`);
+        assert.ok(frame.voicing > 0.9);
+    }
+});
+
+test('pitch tracker calls noise and silence unvoiced', () => {
+    const dsp = new AudioDSP();
+    const noiseContour = dsp.extractPitchContour(noise(0.5), SAMPLE_RATE);
+    const silenceContour = dsp.extractPitchContour(new Float32Array(SAMPLE_RATE / 2), SAMPLE_RATE);
+    assert.ok(noiseContour.filter(frame => frame.f0 > 0).length <= noiseContour.length * 0.1);
+    assert.equal(silenceContour.filter(frame => frame.f0 > 0).length, 0);
+});
+
+test('MFCCs of identical clips are identical, different timbres differ', () => {
+    const dsp = new AudioDSP();
+    const a = dsp.extractMFCCFeatures(melody(1), SAMPLE_RATE);
+    const b = dsp.extractMFCCFeatures(melody(1), SAMPLE_RATE);
+    const c = dsp.extractMFCCFeatures(noise(1), SAMPLE_RATE);
+    assert.ok(dsp.calculateMFCCSimilarity(a, b) > 0.99);
+    assert.ok(dsp.calculateMFCCSimilarity(a, c) < 0.8);
+});
+
+test('voice activity detection finds a late start', () => {
+    const dsp = new AudioDSP();
+    const trim = dsp.getTrimPoints(melody(3, { delay: 1 }), SAMPLE_RATE);
+    assert.ok(Math.abs(trim.voiceStart / SAMPLE_RATE - 1) < 0.05);
+    assert.ok(trim.endTime < 2.95);
+});
+
+test('identical clips score near the top', () => {
+    const result = score(new AudioDSP(), melody(2.5), melody(2.5));
+    assert.ok(result.score >= 95, `scored ${result.score}`);
+});
+
+test('a late start costs little', () => {
+    const result = score(new AudioDSP(), melody(2.5), melody(3.2, { delay: 0.7, seed: 2 }));
+    assert.ok(result.score >= 75, `scored ${result.score}`);
+});
+
+test('an octave-down mimic keeps its melody score in melody mode only', () => {
+    const melodyMode = new AudioDSP();
+    const absoluteMode = new AudioDSP();
+    absoluteMode.pitchScoringMode = 'absolute';
+    const original = melody(2.5);
+    const attempt = melody(2.5, { transpose: 0.5, seed: 3 });
+    const pitch = (result) => result.components.find(c => c.key === 'pitchMatch').value;
+    assert.ok(pitch(score(melodyMode, original, attempt)) > 0.9);
+    assert.ok(pitch(score(absoluteMode, original, attempt)) < 0.3);
+});
+
+test('a semitone off costs a real share of the pitch score', () => {
+    const dsp = new AudioDSP();
+    dsp.pitchScoringMode = 'absolute';
+    const original = melody(2.5);
+    const sharp = melody(2.5, { transpose: Math.pow(2, 1 / 12), seed: 3 });
+    const pitch = (result) => result.components.find(c => c.key === 'pitchMatch').value;
+    assert.ok(pitch(score(dsp, original, melody(2.5, { seed: 3 }))) > 0.95);
+    assert.ok(pitch(score(dsp, original, sharp)) < 0.85);
+});
+
+test('melody mode reports the transposition it scored with', () => {
+    const dsp = new AudioDSP();
+    const sharp = melody(2.5, { transpose: Math.pow(2, 1 / 12), seed: 3 });
+    const result = score(dsp, melody(2.5), sharp);
+    assert.ok(Math.abs(result.transpositionCents + 100) < 30, `transposed ${result.transpositionCents}`);
+});
+
+test('a sweep scores lower against its own reverse than against itself', () => {
+    const dsp = new AudioDSP();
+    const up = sweep(200, 800, 2);
+    const same = score(dsp, up, sweep(200, 800, 2)).score;
+    const reversed = score(dsp, up, sweep(800, 200, 2)).score;
+    assert.ok(same >= 90, `same sweep scored ${same}`);
+    assert.ok(reversed < same - 20, `reversed sweep scored ${reversed}`);
+});
+
+test('validateClip classifies silent, clipped, noise-only and too-short takes', () => {
+    const dsp = new AudioDSP();
+    const clipped = melody(2).map(x => Math.max(-1, Math.min(1, x * 10)));
+    const blip = melody(2, { delay: 1 }).map((x, i) => (i > SAMPLE_RATE * 1.15 ? x * 0.001 : x));
+    assert.equal(dsp.validateClip(new Float32Array(SAMPLE_RATE), SAMPLE_RATE).status, 'silent');
+    assert.equal(dsp.validateClip(clipped, SAMPLE_RATE).status, 'clipped');
+    assert.equal(dsp.validateClip(noise(2), SAMPLE_RATE).status, 'noise-only');
+    assert.equal(dsp.validateClip(blip, SAMPLE_RATE).status, 'too-short');
+    assert.equal(dsp.validateClip(melody(2), SAMPLE_RATE).status, 'ok');
+});
+
+test('silence and noise get a no-attempt verdict instead of points', () => {
+    const dsp = new AudioDSP();
+    const quiet = score(dsp, melody(2.5), new Float32Array(SAMPLE_RATE * 2));
+    const hiss = score(dsp, melody(2.5), noise(2.5));
+    for (const result of [quiet, hiss]) {
+        assert.equal(result.verdict, 'no-attempt');
+        assert.equal(result.retakePlayer, 2);
+        assert.equal(result.score, null);
+    }
+});
+
+test('a clipped original asks player 1 to retake', () => {
+    const dsp = new AudioDSP();
+    const clipped = melody(2.5).map(x => Math.max(-1, Math.min(1, x * 10)));
+    const result = score(dsp, clipped, melody(2.5));
+    assert.equal(result.verdict, 'clipped');
+    assert.equal(result.retakePlayer, 1);
+});
+
+test('a failed analysis keeps both takes', () => {
+    const result = new AudioDSP().createFailedResult(new Error('out of memory'));
+    assert.equal(result.verdict, 'analysis-failed');
+    assert.equal(result.retakePlayer, null);
+    assert.equal(result.score, null);
+});
+
+test('scoring profiles re-weight and re-curve the same analysis', () => {
+    const dsp = new AudioDSP();
+    const original = melody(2.5);
+    const attempt = melody(3, { delay: 0.4, transpose: 1.06, seed: 4 });
+    const standard = score(dsp, original, attempt);
+    dsp.setScoringProfile('strict');
+    const strict = score(dsp, original, attempt);
+    assert.equal(strict.profile.id, 'strict');
+    assert.ok(strict.score <= standard.score);
+    assert.ok(Math.abs(strict.rawScore - standard.rawScore) < 0.1);
+});
+
+test('resample keeps duration and pitch between 44.1k, 48k and the analysis rate', () => {
+    const dsp = new AudioDSP();
+    for (const fromRate of [44100, 48000]) {
+        const resampled = dsp.resample(sine(1000, 1, 0.3, fromRate), fromRate, SAMPLE_RATE);
+        assert.equal(resampled.length, SAMPLE_RATE);
+        const contour = dsp.extractPitchContour(resampled, SAMPLE_RATE);
+        const frame = contour[Math.floor(contour.length / 2)];
+        assert.ok(Math.abs(frame.f0 - 1000) < 5, `${fromRate} Hz input tracked at ${frame.f0}`);
+    }
+});
+
+test('resample removes content above the new Nyquist instead of aliasing it', () => {
+    const dsp = new AudioDSP();
+    // 15 kHz would fold down to 7.05 kHz at 22.05 kHz without filtering
+    const resampled = dsp.resample(sine(15000, 0.5, 0.5, 44100), 44100, SAMPLE_RATE);
+    const middle = resampled.subarray(1000, resampled.length - 1000);
+    const peak = middle.reduce((max, x) => Math.max(max, Math.abs(x)), 0);
+    assert.ok(peak < 0.01, `aliased peak ${peak}`);
+});
+
+test('downmixToMono averages channels', () => {
+    const dsp = new AudioDSP();
+    const mono = dsp.downmixToMono([Float32Array.from([1, 0.5]), Float32Array.from([0, -0.5])]);
+    assert.deepEqual(Array.from(mono), [0.5, 0]);
+});
+
+test('the same phrase recorded at 44.1k and 48k scores as identical', () => {
+    const dsp = new AudioDSP();
+    const original = { channels: [melody(2.5, { sampleRate: 44100 })], sampleRate: 44100 };
+    const attempt = { channels: [melody(2.5, { sampleRate: 48000 })], sampleRate: 48000 };
+    const result = dsp.analyzeTakes(original, attempt);
+    assert.equal(result.verdict, 'ok');
+    assert.ok(result.score >= 95, `scored ${result.score}`);
+});
+
+test('a stereo take is scored on its mono mix', () => {
+    const dsp = new AudioDSP();
+    const left = melody(2.5, { sampleRate: 48000 });
+    const stereo = { channels: [left, left.slice()], sampleRate: 48000 };
+    const mono = { channels: [melody(2.5, { sampleRate: 44100 })], sampleRate: 44100 };
+    const result = dsp.analyzeTakes(mono, stereo);
+    assert.ok(result.score >= 95, `scored ${result.score}`);
+});
+
+test('measureLoudness reads a full-scale 1 kHz sine at about -3 LUFS at any rate', () => {
+    const dsp = new AudioDSP();
+    for (const sampleRate of [SAMPLE_RATE, 44100, 48000]) {
+        const loudness = dsp.measureLoudness(sine(1000, 2, 1, sampleRate), sampleRate);
+        assert.ok(Math.abs(loudness.lufs + 3.01) < 0.2, `${sampleRate} Hz measured ${loudness.lufs}`);
+        assert.ok(Math.abs(loudness.rmsDb + 3.01) < 0.05);
+    }
+    assert.equal(dsp.measureLoudness(new Float32Array(SAMPLE_RATE), SAMPLE_RATE).lufs, -Infinity);
+});
+
+test('getLoudnessGain reaches the target and respects the cap', () => {
+    const dsp = new AudioDSP();
+    const quiet = sine(1000, 1, 0.05);
+    const gain = dsp.getLoudnessGain(dsp.measureLoudness(quiet, SAMPLE_RATE), -16);
+    const boosted = dsp.measureLoudness(dsp.scaleSamples(quiet, gain), SAMPLE_RATE);
+    assert.ok(Math.abs(boosted.lufs + 16) < 0.01, `boosted to ${boosted.lufs}`);
+    assert.equal(dsp.getLoudnessGain(dsp.measureLoudness(quiet, SAMPLE_RATE), -16, 2), 2);
+});
+
+test('getLoudnessGain keeps a peaky take under the peak ceiling', () => {
+    const dsp = new AudioDSP();
+    // Quiet overall, but one full-scale click
+    const peaky = sine(1000, 1, 0.02);
+    peaky[1000] = 0.9;
+    const loudness = dsp.measureLoudness(peaky, SAMPLE_RATE);
+    const gain = dsp.getLoudnessGain(loudness, -16, 8, -1);
+    assert.ok(dsp.getLoudnessGain(loudness, -16, 8) > gain);
+    assert.ok(20 * Math.log10(gain * loudness.peak) <= -1 + 1e-9, `peak at ${20 * Math.log10(gain * loudness.peak)} dBFS`);
+});
+
+test('loudness normalization stops mic distance from costing points', () => {
+    const dsp = new AudioDSP();
+    const original = melody(2.5);
+    const distant = dsp.scaleSamples(melody(2.5), 0.1);
+    const energy = result => result.components.find(c => c.key === 'energyMatch').value;
+    
+    dsp.normalizeLoudnessEnabled = false;
+    const raw = dsp.analyzeRecordings(original, distant, SAMPLE_RATE);
+    dsp.normalizeLoudnessEnabled = true;
+    const normalized = dsp.analyzeRecordings(original, distant, SAMPLE_RATE);
+    
+    assert.ok(energy(raw) < 0.2, `raw energy match ${energy(raw)}`);
+    assert.ok(energy(normalized) > 0.95, `normalized energy match ${energy(normalized)}`);
+    assert.ok(normalized.score > raw.score);
+    assert.equal(normalized.loudness.normalized, true);
+});
+
+test('with normalization on, energy match compares loudness range', () => {
+    const dsp = new AudioDSP();
+    const flat = melody(2.5);
+    // Same phrase sung loud-soft-loud: every other pair of notes about 16 dB down
+    const dynamic = melody(2.5).map((x, i) => Math.floor(i / SAMPLE_RATE / 0.6) % 2 ? x * 0.15 : x);
+    const energy = result => result.components.find(c => c.key === 'energyMatch').value;
+    
+    const same = dsp.analyzeRecordings(flat, melody(2.5, { seed: 3 }), SAMPLE_RATE);
+    const different = dsp.analyzeRecordings(flat, dynamic, SAMPLE_RATE);
+    
+    assert.ok(different.loudness.attempt.range - different.loudness.original.range > 8,
+        `ranges ${different.loudness.original.range} and ${different.loudness.attempt.range} LU`);
+    assert.ok(energy(same) > 0.9, `flat vs flat ${energy(same)}`);
+    assert.ok(energy(different) < 0.3, `flat vs dynamic ${energy(different)}`);
+});
+
+test('measureLevel reports rms, peak and clipped samples for a meter block', () => {
+    const dsp = new AudioDSP();
+    const level = dsp.measureLevel(sine(1000, 0.1, 0.5));
+    assert.ok(Math.abs(level.rmsDb + 9.03) < 0.1, `rms ${level.rmsDb}`);
+    assert.ok(Math.abs(level.peak - 0.5) < 0.01);
+    assert.equal(level.clippedSamples, 0);
+    assert.ok(dsp.measureLevel(sine(1000, 0.1, 1.2)).clippedSamples > 0);
+    assert.equal(dsp.measureLevel(new Float32Array(256)).rmsDb, -Infinity);
+});
+
+test('timeStretch slows a take down without changing its pitch', () => {
+    const dsp = new AudioDSP();
+    const rate = 48000;
+    const take = new Float32Array(2 * rate);
+    take.set(sine(220, 1, 0.3, rate));
+    take.set(sine(440, 1, 0.3, rate), rate);
+    const frequencyOf = (samples, start, end) => {
+        let crossings = 0;
+        for (let i = Math.round(start * rate) + 1; i < end * rate; i++) {
+            if (samples[i - 1] < 0 && samples[i] >= 0) crossings++;
+        }
+        return crossings / (end - start);
+    };
+    
+    assert.equal(dsp.timeStretch(take, rate, 1), take);
+    for (const speed of [0.75, 0.5]) {
+        const slow = dsp.timeStretch(take, rate, speed);
+        const half = 1 / speed;
+        assert.equal(slow.length, Math.round(take.length / speed));
+        assert.ok(Math.abs(frequencyOf(slow, 0.2 * half, 0.8 * half) - 220) < 4, `${speed}x low tone`);
+        assert.ok(Math.abs(frequencyOf(slow, 1.2 * half, 1.8 * half) - 440) < 6, `${speed}x high tone`);
+        const level = dsp.measureLevel(slow.subarray(Math.round(0.2 * half * rate), Math.round(0.8 * half * rate)));
+        assert.ok(Math.abs(level.rmsDb - dsp.measureLevel(take.subarray(0, rate)).rmsDb) < 1, `${speed}x level ${level.rmsDb}`);
+    }
+});
+
+test('segmentPhrases cuts a phrase at its notes and its pauses', () => {
+    const dsp = new AudioDSP();
+    const legato = dsp.segmentPhrases(melody(2.5, { delay: 0.3 }), SAMPLE_RATE);
+    assert.equal(legato.length, 6);
+    legato.slice(1).forEach((segment, i) => {
+        assert.ok(Math.abs(segment.startTime - (0.6 + 0.3 * i)) < 0.1, `cut ${i + 1} at ${segment.startTime}`);
+    });
+    
+    const pause = new Float32Array(Math.round(0.3 * SAMPLE_RATE));
+    const phrases = new Float32Array(pause.length * 5 + Math.round(1.5 * SAMPLE_RATE));
+    phrases.set(sine(300, 0.5), pause.length);
+    phrases.set(sine(400, 0.5), pause.length * 2 + Math.round(0.5 * SAMPLE_RATE));
+    phrases.set(sine(500, 0.5), pause.length * 3 + Math.round(1.0 * SAMPLE_RATE));
+    const separate = dsp.segmentPhrases(phrases, SAMPLE_RATE);
+    assert.equal(separate.length, 3);
+    assert.ok(separate.every(segment => segment.endTime - segment.startTime < 0.6));
+    assert.equal(dsp.segmentPhrases(phrases, SAMPLE_RATE, { maxSegments: 2 }).length, 2);
+    assert.deepEqual(dsp.segmentPhrases(new Float32Array(SAMPLE_RATE), SAMPLE_RATE), []);
+});
+
+test('the pitch track marks the wrong note as a miss and the spectrogram shows its fundamental', () => {
+    const dsp = new AudioDSP();
+    dsp.pitchScoringMode = 'absolute';
+    const phrase = (middle) => {
+        const data = new Float32Array(Math.round(1.8 * SAMPLE_RATE));
+        data.set(sine(220, 0.6));
+        data.set(sine(middle, 0.6), Math.round(0.6 * SAMPLE_RATE));
+        data.set(sine(262, 0.6), Math.round(1.2 * SAMPLE_RATE));
+        return data;
+    };
+    const original = phrase(330);
+    const track = dsp.analyzeRecordings(original, phrase(440), SAMPLE_RATE).pitchTrack;
+    
+    const statusAt = (time) => {
+        const region = track.regions.find(r => time >= r.original[0] && time <= r.original[1]);
+        return region ? region.status : null;
+    };
+    assert.equal(statusAt(0.3), 'match');
+    assert.equal(statusAt(0.9), 'miss');
+    assert.equal(statusAt(1.5), 'match');
+    const a3 = track.original.find(frame => frame.time > 0.3).cents;
+    assert.ok(Math.abs(a3 + 1200) < 20, `220 Hz is ${a3} cents from A4`);
+    
+    const spectrogram = dsp.computeSpectrogram(original, SAMPLE_RATE, { columns: 30, rows: 120 });
+    const column = spectrogram.values.subarray(5 * 120, 6 * 120);
+    const loudestRow = column.indexOf(Math.max(...column));
+    const frequency = spectrogram.minFrequency * Math.pow(spectrogram.maxFrequency / spectrogram.minFrequency, loudestRow / 119);
+    assert.ok(Math.abs(dsp.hzToCents(frequency, 220)) < 50, `loudest row at ${frequency} Hz`);
+});
+
+test('computeWaveformPeaks keeps the envelope of each column', () => {
+    const dsp = new AudioDSP();
+    const samples = new Float32Array(1000);
+    samples.fill(0.25, 500, 600);
+    samples[550] = -0.8;
+    const peaks = dsp.computeWaveformPeaks(samples, 10);
+    assert.equal(peaks.length, 10);
+    assert.deepEqual(peaks[0], { min: 0, max: 0 });
+    assert.ok(Math.abs(peaks[5].max - 0.25) < 1e-6 && Math.abs(peaks[5].min + 0.8) < 1e-6);
+    assert.equal(dsp.computeWaveformPeaks(samples.subarray(0, 4), 10).length, 4);
+});
+
+test('voice trigger starts on sustained voice and stops after trailing silence', () => {
+    const dsp = new AudioDSP();
+    dsp.trailingSilenceDuration = 1;
+    const state = dsp.createVoiceTriggerState();
+    const events = [];
+    // 1 s of room noise, a click, 2 s of singing with a short dip, then silence
+    for (let frame = 0; frame < 300; frame++) {
+        const time = frame / 60;
+        let db = -60;
+        if (frame === 30) db = -20;
+        if (time >= 1 && time < 3) db = time > 2 && time < 2.1 ? -44 : -25;
+        const event = dsp.updateVoiceTrigger(state, db, time);
+        if (event) events.push([event, time]);
+    }
+    assert.deepEqual(events.map(([event]) => event), ['start', 'stop']);
+    assert.ok(Math.abs(state.voiceStart - 1) < 0.02, `voice started at ${state.voiceStart}`);
+    assert.ok(Math.abs(state.voiceEnd - 3) < 0.02, `voice ended at ${state.voiceEnd}`);
+    assert.ok(Math.abs(events[1][1] - 4) < 0.05, `stopped at ${events[1][1]}`);
+});
+
+test('the virtual microphone sweep is pitched and mimics well when sung backwards', () => {
+    const dsp = new AudioDSP();
+    const up = dsp.synthesizeSweep(220, 660, 2.5, SAMPLE_RATE);
+    const contour = dsp.extractPitchContour(up, SAMPLE_RATE);
+    const middle = contour[Math.floor(contour.length / 2)];
+    assert.ok(Math.abs(middle.f0 - 381) < 10, `mid-sweep pitch ${middle.f0}`);
+    
+    // Player 2 sings the falling sweep; reversing it back should match the original
+    const attempt = dsp.reverseSamples(dsp.synthesizeSweep(660, 220, 2.5, SAMPLE_RATE));
+    const result = score(dsp, up, attempt);
+    assert.ok(result.score >= 90, `scored ${result.score}`);
+});